@@ -0,0 +1,16 @@
+// API keys are refused by the auth middleware unless the route opts in with this
+// middleware (placed before auth), which names the scope the request needs.
+const allowApiKeys = (scopeFor) => {
+    return (req, res, next) => {
+        req.apiKeyScope = scopeFor(req);
+        next();
+    };
+};
+
+// Task routes: reads need tasks:read, everything else tasks:write
+const taskScope = (req) => (['GET', 'HEAD'].includes(req.method) ? 'tasks:read' : 'tasks:write');
+
+module.exports = {
+    allowApiKeys,
+    taskScope
+};
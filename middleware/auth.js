@@ -1,9 +1,74 @@
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const { hashToken } = require('../utils/tokens');
+
+const isEventStream = (req) => (req.header('Accept') || '').includes('text/event-stream');
+
+// Personal API keys only work on routes that allow them (see middleware/apiKeys.js) and
+// only within their scopes. They aren't bound to a session.
+const authenticateApiKey = async (key, req, res, next) => {
+    const apiKey = await ApiKey.findOne({ keyHash: hashToken(key) });
+    if (!apiKey || apiKey.revokedAt) {
+        return res.status(401).json({
+            message: 'Invalid API key.',
+            error: 'INVALID_API_KEY'
+        });
+    }
+
+    if (!apiKey.isActive()) {
+        return res.status(401).json({
+            message: 'API key expired.',
+            error: 'API_KEY_EXPIRED'
+        });
+    }
+
+    if (!req.apiKeyScope) {
+        return res.status(403).json({
+            message: 'API keys cannot be used for this endpoint.',
+            error: 'API_KEY_NOT_ALLOWED'
+        });
+    }
+
+    if (!apiKey.scopes.includes(req.apiKeyScope)) {
+        return res.status(403).json({
+            message: `This API key does not have the ${req.apiKeyScope} scope.`,
+            error: 'INSUFFICIENT_SCOPE'
+        });
+    }
+
+    const user = await User.findById(apiKey.user);
+    if (!user) {
+        return res.status(401).json({
+            message: 'Invalid token.',
+            error: 'USER_NOT_FOUND'
+        });
+    }
+
+    if (user.disabledAt) {
+        return res.status(403).json({
+            message: 'This account has been disabled.',
+            error: 'ACCOUNT_DISABLED'
+        });
+    }
+
+    await apiKey.recordUse(req.ip);
+
+    req.user = user;
+    req.apiKey = apiKey;
+    req.authSession = null;
+    req.tokenExpiresAt = apiKey.expiresAt;
+    next();
+};
 
 const auth = async (req, res, next) => {
     try {
-        const token = req.header('Authorization')?.replace('Bearer ', '');
+        // Browsers' EventSource can't send headers, so event streams may pass ?access_token=
+        const token = req.header('Authorization')?.replace('Bearer ', '')
+            || req.header('X-API-Key')
+            || (isEventStream(req) ? req.query.access_token : undefined);
 
         if (!token) {
             return res.status(401).json({
@@ -12,7 +77,21 @@ const auth = async (req, res, next) => {
             });
         }
 
+        if (token.startsWith(ApiKey.PREFIX)) {
+            return await authenticateApiKey(token, req, res, next);
+        }
+
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+        // Access tokens are bound to a session so they can be revoked before they expire
+        const session = mongoose.isValidObjectId(decoded.sid) ? await Session.findById(decoded.sid) : null;
+        if (!session || !session.isActive() || !session.user.equals(decoded.userId)) {
+            return res.status(401).json({
+                message: 'Session has been revoked.',
+                error: 'SESSION_REVOKED'
+            });
+        }
+
         const user = await User.findById(decoded.userId);
 
         if (!user) {
@@ -22,7 +101,16 @@ const auth = async (req, res, next) => {
             });
         }
 
+        if (user.disabledAt) {
+            return res.status(403).json({
+                message: 'This account has been disabled.',
+                error: 'ACCOUNT_DISABLED'
+            });
+        }
+
         req.user = user;
+        req.authSession = session;
+        req.tokenExpiresAt = decoded.exp ? new Date(decoded.exp * 1000) : null;
         next();
     } catch (error) {
         if (error.name === 'JsonWebTokenError') {
@@ -0,0 +1,14 @@
+// Role check layered on auth (which sets req.user): only users with one of `roles` get through
+const authorize = (...roles) => {
+    return (req, res, next) => {
+        if (!req.user || !roles.includes(req.user.role)) {
+            return res.status(403).json({
+                message: 'You do not have permission to access this resource.',
+                error: 'INSUFFICIENT_ROLE'
+            });
+        }
+        next();
+    };
+};
+
+module.exports = authorize;
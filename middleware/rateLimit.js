@@ -0,0 +1,100 @@
+const { getRateLimitStore } = require('../utils/rateLimitStore');
+
+const MINUTE_MS = 60 * 1000;
+
+const envInt = (name, fallback) => parseInt(process.env[name], 10) || fallback;
+
+const retryAfterSeconds = (resetAt) => {
+    return Math.max(1, Math.ceil((resetAt.getTime() - Date.now()) / 1000));
+};
+
+// 429 in the API's error shape, telling the client when it may retry
+const sendTooManyRequests = (res, resetAt, message, error) => {
+    res.set('Retry-After', String(retryAfterSeconds(resetAt)));
+    return res.status(429).json({ message, error });
+};
+
+/**
+ * Allow at most `max` requests per `windowMs` for each key returned by `keyFor(req)`.
+ * Requests without a key are not limited. Set RATE_LIMIT_ENABLED=false to turn limits off.
+ */
+const rateLimit = ({ name, windowMs, max, keyFor, message = 'Too many requests, please try again later' }) => {
+    return async (req, res, next) => {
+        if (process.env.RATE_LIMIT_ENABLED === 'false') return next();
+
+        try {
+            const key = keyFor(req);
+            if (!key) return next();
+
+            const { count, resetAt } = await getRateLimitStore().increment(`${name}:${key}`, windowMs);
+            if (count > max) {
+                return sendTooManyRequests(res, resetAt, message, 'RATE_LIMITED');
+            }
+            next();
+        } catch (error) {
+            // A failing store shouldn't take the API down with it
+            console.error('Rate limit error:', error);
+            next();
+        }
+    };
+};
+
+const byIp = (req) => req.ip;
+
+// The signed-in user, or the account named in the body of public auth routes
+const byAccount = (req) => {
+    if (req.user) return `user:${req.user._id}`;
+    return typeof req.body.email === 'string' ? `email:${req.body.email.trim().toLowerCase()}` : null;
+};
+
+const AUTH_WINDOW_MS = envInt('AUTH_RATE_LIMIT_WINDOW_MS', 15 * MINUTE_MS);
+const API_WINDOW_MS = envInt('API_RATE_LIMIT_WINDOW_MS', MINUTE_MS);
+
+// Every /api/auth request, per IP
+const authIpLimiter = rateLimit({
+    name: 'auth-ip',
+    windowMs: AUTH_WINDOW_MS,
+    max: envInt('AUTH_RATE_LIMIT_MAX', 100),
+    keyFor: byIp
+});
+
+// Sensitive auth actions (login, password reset and changes, account deletion), per account
+const authAccountLimiter = rateLimit({
+    name: 'auth-account',
+    windowMs: AUTH_WINDOW_MS,
+    max: envInt('AUTH_ACCOUNT_RATE_LIMIT_MAX', 20),
+    keyFor: byAccount
+});
+
+const registerLimiter = rateLimit({
+    name: 'register-ip',
+    windowMs: 60 * MINUTE_MS,
+    max: envInt('REGISTER_RATE_LIMIT_MAX', 10),
+    keyFor: byIp,
+    message: 'Too many accounts created from this IP, please try again later'
+});
+
+// Task API, per IP before authentication and per account after it
+const apiIpLimiter = rateLimit({
+    name: 'api-ip',
+    windowMs: API_WINDOW_MS,
+    max: envInt('API_IP_RATE_LIMIT_MAX', 600),
+    keyFor: byIp
+});
+
+const apiAccountLimiter = rateLimit({
+    name: 'api-account',
+    windowMs: API_WINDOW_MS,
+    max: envInt('API_RATE_LIMIT_MAX', 300),
+    keyFor: byAccount
+});
+
+module.exports = {
+    rateLimit,
+    sendTooManyRequests,
+    authIpLimiter,
+    authAccountLimiter,
+    registerLimiter,
+    apiIpLimiter,
+    apiAccountLimiter
+};
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+const API_KEY_SCOPES = ['tasks:read', 'tasks:write'];
+// Raw keys start with this, which tells them apart from JWTs
+const API_KEY_PREFIX = 'tm_';
+// Last-used times are written at most this often per key
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+// Personal API keys for scripts and integrations. Only a hash of each key is stored;
+// `prefix` (the first characters) lets users recognise their keys.
+const apiKeySchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    name: {
+        type: String,
+        required: [true, 'Name is required'],
+        trim: true,
+        maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+    keyHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    prefix: {
+        type: String,
+        required: true
+    },
+    scopes: {
+        type: [{ type: String, enum: API_KEY_SCOPES }],
+        validate: [scopes => scopes.length > 0, 'At least one scope is required']
+    },
+    expiresAt: {
+        type: Date,
+        default: null
+    },
+    lastUsedAt: {
+        type: Date,
+        default: null
+    },
+    lastUsedIp: String,
+    revokedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+apiKeySchema.index({ user: 1, revokedAt: 1 });
+
+apiKeySchema.methods.isActive = function () {
+    return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+// Record a use without writing on every request
+apiKeySchema.methods.recordUse = async function (ip) {
+    const now = new Date();
+    if (this.lastUsedAt && now - this.lastUsedAt < LAST_USED_RESOLUTION_MS) return;
+    this.lastUsedAt = now;
+    this.lastUsedIp = ip;
+    await this.constructor.updateOne({ _id: this._id }, { lastUsedAt: now, lastUsedIp: ip });
+};
+
+// Never expose the key hash
+apiKeySchema.methods.toJSON = function () {
+    const apiKey = this.toObject();
+    delete apiKey.keyHash;
+    return apiKey;
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+ApiKey.SCOPES = API_KEY_SCOPES;
+ApiKey.PREFIX = API_KEY_PREFIX;
+
+module.exports = ApiKey;
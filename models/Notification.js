@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const notificationSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    task: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Task'
+    },
+    type: {
+        type: String,
+        enum: ['reminder', 'overdue'],
+        required: true
+    },
+    title: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    message: {
+        type: String,
+        trim: true
+    },
+    dueDate: Date,
+    // Minutes before the due date for reminders
+    offsetMinutes: Number,
+    // Identifies the event so the scheduler never notifies it twice
+    key: {
+        type: String,
+        required: true
+    },
+    deliveredVia: [String],
+    readAt: {
+        type: Date,
+        default: null
+    },
+    // Deleting a notification only hides it, so its key keeps the scheduler from recreating it
+    dismissedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+notificationSchema.index({ user: 1, key: 1 }, { unique: true });
+notificationSchema.index({ user: 1, dismissedAt: 1, readAt: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, createdAt: -1, _id: -1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+const PROJECT_ROLES = ['owner', 'editor', 'viewer'];
+
+// Higher rank includes every permission of the lower ones
+const ROLE_RANK = { viewer: 1, editor: 2, owner: 3 };
+
+const memberSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    role: {
+        type: String,
+        enum: PROJECT_ROLES,
+        default: 'viewer'
+    },
+    joinedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+const inviteSchema = new mongoose.Schema({
+    email: {
+        type: String,
+        required: true,
+        lowercase: true,
+        trim: true
+    },
+    role: {
+        type: String,
+        enum: ['editor', 'viewer'],
+        default: 'viewer'
+    },
+    invitedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+const projectSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Project name is required'],
+        trim: true,
+        maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Description cannot exceed 500 characters']
+    },
+    members: [memberSchema],
+    invites: [inviteSchema]
+}, {
+    timestamps: true
+});
+
+projectSchema.index({ 'members.user': 1 });
+projectSchema.index({ 'invites.email': 1 });
+
+// Method to get a user's role in the project (null when not a member)
+projectSchema.methods.getRole = function (userId) {
+    const member = this.members.find(m => (m.user._id || m.user).toString() === userId.toString());
+    return member ? member.role : null;
+};
+
+// Method to count members holding the owner role
+projectSchema.methods.ownerCount = function () {
+    return this.members.filter(m => m.role === 'owner').length;
+};
+
+// Check whether a role grants at least the permissions of another
+projectSchema.statics.roleAtLeast = function (role, minRole) {
+    return !!role && ROLE_RANK[role] >= ROLE_RANK[minRole];
+};
+
+// Ids of every project the user is a member of
+projectSchema.statics.idsForUser = function (userId) {
+    return this.distinct('_id', { 'members.user': userId });
+};
+
+const Project = mongoose.model('Project', projectSchema);
+
+Project.ROLES = PROJECT_ROLES;
+
+module.exports = Project;
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Only a hash of each refresh token is stored. Used tokens are kept until they
+// expire so that a replayed token can be recognised as reuse.
+const refreshTokenSchema = new mongoose.Schema({
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    session: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Session',
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    usedAt: {
+        type: Date,
+        default: null
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+refreshTokenSchema.index({ session: 1 });
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// A session is one login on one device. Every refresh token issued for that
+// login belongs to the same session, so revoking it kills the whole token family.
+const sessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    userAgent: {
+        type: String,
+        trim: true,
+        maxlength: 500
+    },
+    ip: {
+        type: String,
+        trim: true
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    revokedReason: {
+        type: String,
+        enum: ['logout', 'logout_all', 'token_reuse', 'password_reset', 'password_changed', 'two_factor_enabled', 'account_disabled', null],
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Let MongoDB remove sessions once they can no longer be refreshed
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Method to check whether the session can still be used
+sessionSchema.methods.isActive = function () {
+    return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Method to revoke the session
+sessionSchema.methods.revoke = async function (reason) {
+    if (this.revokedAt) return this;
+    this.revokedAt = new Date();
+    this.revokedReason = reason;
+    return await this.save();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Outcome of a client mutation sent to POST /api/sync, so a retried batch
+// returns the original result instead of applying the mutation again
+const syncMutationSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    mutationId: {
+        type: String,
+        required: true
+    },
+    // null while the mutation is being applied
+    result: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+        expires: 30 * 24 * 60 * 60
+    }
+});
+
+syncMutationSchema.index({ user: 1, mutationId: 1 }, { unique: true });
+
+module.exports = mongoose.model('SyncMutation', syncMutationSchema);
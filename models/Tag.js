@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+const DEFAULT_COLOR = '#808080';
+
+// A user's tag with its display color. Tasks reference tags by name.
+const tagSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    name: {
+        type: String,
+        required: [true, 'Tag name is required'],
+        trim: true,
+        maxlength: [30, 'Tag name cannot exceed 30 characters']
+    },
+    color: {
+        type: String,
+        default: DEFAULT_COLOR,
+        match: [/^#[0-9a-fA-F]{6}$/, 'Color must be a hex color like #1a2b3c']
+    }
+}, {
+    timestamps: true
+});
+
+tagSchema.index({ user: 1, name: 1 }, { unique: true });
+
+// Create any of the given tag names the user doesn't have yet, with the default color
+tagSchema.statics.ensureForUser = async function (userId, names) {
+    if (!names || names.length === 0) return;
+    await this.bulkWrite(names.map(name => ({
+        updateOne: {
+            filter: { user: userId, name },
+            update: { $setOnInsert: { user: userId, name, color: DEFAULT_COLOR } },
+            upsert: true
+        }
+    })));
+};
+
+const Tag = mongoose.model('Tag', tagSchema);
+
+Tag.DEFAULT_COLOR = DEFAULT_COLOR;
+
+module.exports = Tag;
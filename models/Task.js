@@ -1,4 +1,31 @@
 const mongoose = require('mongoose');
+const TaskTombstone = require('./TaskTombstone');
+const { isPastDue } = require('../utils/timezone');
+
+const MAX_SUBTASKS = 50;
+const MAX_TAGS = 20;
+
+// Priorities from lowest to highest; priorityRank stores the index so tasks sort by urgency
+const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+// Fields whose changes are recorded in the activity log
+const TRACKED_FIELDS = ['title', 'description', 'dueDate', 'status', 'priority', 'project', 'assignees', 'tags', 'autoComplete', 'strictSubtasks'];
+
+const subtaskSchema = new mongoose.Schema({
+    title: {
+        type: String,
+        required: [true, 'Subtask title is required'],
+        trim: true,
+        maxlength: [100, 'Title cannot exceed 100 characters']
+    },
+    status: {
+        type: String,
+        enum: ['Pending', 'In Progress', 'Completed'],
+        default: 'Pending'
+    }
+}, {
+    timestamps: true
+});
 
 const taskSchema = new mongoose.Schema({
     title: {
@@ -21,26 +48,224 @@ const taskSchema = new mongoose.Schema({
         enum: ['Pending', 'In Progress', 'Completed'],
         default: 'Pending'
     },
+    // Set whenever the status becomes Completed, cleared when it is reopened
+    completedAt: {
+        type: Date,
+        default: null
+    },
+    // Owner of a personal task
     user: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
         required: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    assignees: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    // Shared tasks belong to a project; personal tasks have no project
+    project: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Project',
+        default: null
+    },
+    priority: {
+        type: String,
+        enum: PRIORITIES,
+        default: 'medium'
+    },
+    priorityRank: {
+        type: Number,
+        default: PRIORITIES.indexOf('medium')
+    },
+    tags: {
+        type: [{
+            type: String,
+            trim: true,
+            maxlength: [30, 'Tag cannot exceed 30 characters']
+        }],
+        validate: [list => list.length <= MAX_TAGS, `A task cannot have more than ${MAX_TAGS} tags`]
+    },
+    subtasks: {
+        type: [subtaskSchema],
+        validate: [list => list.length <= MAX_SUBTASKS, `A task cannot have more than ${MAX_SUBTASKS} subtasks`]
+    },
+    // Move the task to Completed once its last subtask is completed
+    autoComplete: {
+        type: Boolean,
+        default: false
+    },
+    // Refuse to complete the task while subtasks are still open
+    strictSubtasks: {
+        type: Boolean,
+        default: false
+    },
+    // Recurring tasks are occurrences of a series
+    series: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'TaskSeries',
+        default: null
+    },
+    occurrenceIndex: {
+        type: Number,
+        min: 1
+    },
+    nextOccurrenceGenerated: {
+        type: Boolean,
+        default: false
+    },
+    // Set when the task is moved to the trash
+    deletedAt: {
+        type: Date,
+        default: null
+    },
+    deletedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    // ID generated by an offline client that created the task (POST /api/sync)
+    clientId: {
+        type: String,
+        trim: true,
+        maxlength: 100
     }
 }, {
-    timestamps: true
+    timestamps: true,
+    // Every save() checks and bumps __v, so concurrent load-modify-save cycles can't overwrite each other
+    optimisticConcurrency: true
 });
 
 // Index for better query performance
 taskSchema.index({ user: 1, status: 1 });
 taskSchema.index({ dueDate: 1 });
 taskSchema.index({ createdAt: -1 });
+taskSchema.index({ user: 1, createdAt: -1, _id: -1 });
+taskSchema.index({ user: 1, dueDate: 1 });
+taskSchema.index({ user: 1, updatedAt: -1 });
+taskSchema.index({ project: 1, createdAt: -1, _id: -1 });
+taskSchema.index({ assignees: 1 });
+taskSchema.index({ createdBy: 1 });
+taskSchema.index({ series: 1, status: 1 });
+taskSchema.index({ deletedAt: 1 });
+taskSchema.index({ tags: 1 });
+taskSchema.index({ user: 1, priorityRank: -1, _id: -1 });
+taskSchema.index({ completedAt: 1 });
+taskSchema.index({ title: 'text', description: 'text' }, { weights: { title: 3, description: 1 } });
+taskSchema.index({ updatedAt: 1, _id: 1 });
+taskSchema.index({ user: 1, clientId: 1 }, { unique: true, partialFilterExpression: { clientId: { $type: 'string' } } });
+
+// Tasks created before assignment support were always created by their owner
+taskSchema.pre('validate', function (next) {
+    if (!this.createdBy) {
+        this.createdBy = this.user;
+    }
+    this.priorityRank = PRIORITIES.indexOf(this.priority);
+    next();
+});
+
+// Roll subtask changes up to the parent: auto-complete it once every subtask is done,
+// and in strict mode reopen it when an open subtask shows up under a completed task
+taskSchema.pre('save', function (next) {
+    if (this.isModified('subtasks') && this.subtasks.length > 0) {
+        const open = this.hasOpenSubtasks();
+        if (!open && this.autoComplete && this.status !== 'Completed') {
+            this.status = 'Completed';
+        } else if (open && this.strictSubtasks && this.status === 'Completed') {
+            this.status = 'In Progress';
+        }
+    }
+    next();
+});
+
+// Track when the task was completed (runs after the subtask rollup above)
+taskSchema.pre('save', function (next) {
+    if (this.isNew || this.isModified('status')) {
+        if (this.status !== 'Completed') {
+            this.completedAt = null;
+        } else if (!this.completedAt || this.isModified('status')) {
+            this.completedAt = new Date();
+        }
+    }
+    next();
+});
+
+// Leave tombstones for permanently deleted tasks so offline clients learn about the deletion
+taskSchema.pre('deleteOne', { document: true, query: false }, async function () {
+    await TaskTombstone.recordDeleted([this]);
+});
+
+taskSchema.pre('deleteMany', async function () {
+    const tasks = await this.model.find(this.getFilter()).select('user assignees project clientId');
+    await TaskTombstone.recordDeleted(tasks);
+});
+
+// Remember the loaded values so changes can be diffed for the activity log
+taskSchema.post('init', function () {
+    this.$locals.original = this.snapshot();
+});
+
+// Method to get the tracked fields as plain, comparable values
+taskSchema.methods.snapshot = function () {
+    const values = {};
+    TRACKED_FIELDS.forEach(field => {
+        const value = this.get(field);
+        if (Array.isArray(value)) {
+            values[field] = value.map(v => (v._id || v).toString());
+        } else if (value && value._bsontype === 'ObjectId') {
+            values[field] = value.toString();
+        } else if (value && value._id) {
+            values[field] = value._id.toString();
+        } else {
+            values[field] = value === undefined ? null : value;
+        }
+    });
+    return values;
+};
+
+// Method to check whether any subtask is not completed yet
+taskSchema.methods.hasOpenSubtasks = function () {
+    return this.subtasks.some(s => s.status !== 'Completed');
+};
 
-// Virtual for checking if task is overdue
+// Method to check whether a user is assigned to the task
+taskSchema.methods.isAssignedTo = function (userId) {
+    return this.assignees.some(a => (a._id || a).toString() === userId.toString());
+};
+
+// Virtual for checking if task is overdue. Task documents don't know the viewer, so all-day
+// due dates end in UTC here; filters and statistics use the user's time zone.
 taskSchema.virtual('isOverdue').get(function () {
-    return this.dueDate < new Date() && this.status !== 'Completed';
+    return Boolean(this.dueDate) && isPastDue(this.dueDate) && this.status !== 'Completed';
+});
+
+// Virtual for completion percentage, based on subtasks when there are any
+taskSchema.virtual('progress').get(function () {
+    if (!this.subtasks || this.subtasks.length === 0) {
+        return this.status === 'Completed' ? 100 : 0;
+    }
+    const completed = this.subtasks.filter(s => s.status === 'Completed').length;
+    return Math.round((completed / this.subtasks.length) * 100);
+});
+
+// Version tag for conditional requests (ETag / If-Match). Saves bump __v; updatedAt also
+// covers changes made with updateMany, which bypass versioning.
+taskSchema.virtual('etag').get(function () {
+    const updatedAt = this.updatedAt ? this.updatedAt.getTime().toString(36) : '0';
+    return `${this.__v || 0}-${updatedAt}`;
 });
 
 // Ensure virtual fields are serialized
 taskSchema.set('toJSON', { virtuals: true });
 
-module.exports = mongoose.model('Task', taskSchema); 
\ No newline at end of file
+const Task = mongoose.model('Task', taskSchema);
+
+Task.MAX_SUBTASKS = MAX_SUBTASKS;
+Task.MAX_TAGS = MAX_TAGS;
+Task.PRIORITIES = PRIORITIES;
+
+module.exports = Task; 
\ No newline at end of file
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+const ACTIONS = [
+    'created',
+    'updated',
+    'status_changed',
+    'assigned',
+    'unassigned',
+    'subtask_added',
+    'subtask_updated',
+    'subtask_deleted',
+    'deleted',
+    'restored',
+    'purged'
+];
+
+const changeSchema = new mongoose.Schema({
+    field: {
+        type: String,
+        required: true
+    },
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+// Append-only log of task changes. Entries outlive their task, so the
+// task's title, owner and project are copied onto each entry.
+const taskActivitySchema = new mongoose.Schema({
+    task: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Task',
+        required: true
+    },
+    taskTitle: {
+        type: String,
+        trim: true
+    },
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    project: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Project',
+        default: null
+    },
+    // null for automatic changes, e.g. the trash retention purge
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    action: {
+        type: String,
+        enum: ACTIONS,
+        required: true
+    },
+    changes: [changeSchema],
+    meta: mongoose.Schema.Types.Mixed
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+taskActivitySchema.index({ task: 1, createdAt: -1, _id: -1 });
+taskActivitySchema.index({ actor: 1, createdAt: -1, _id: -1 });
+taskActivitySchema.index({ owner: 1, project: 1, createdAt: -1 });
+taskActivitySchema.index({ project: 1, createdAt: -1 });
+
+// Entries are never modified once written
+const rejectUpdate = function (next) {
+    next(new Error('Task activity entries are append-only'));
+};
+taskActivitySchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], rejectUpdate);
+taskActivitySchema.pre('save', function (next) {
+    if (!this.isNew) return rejectUpdate(next);
+    next();
+});
+
+const TaskActivity = mongoose.model('TaskActivity', taskActivitySchema);
+
+TaskActivity.ACTIONS = ACTIONS;
+
+module.exports = TaskActivity;
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+// RRULE-style recurrence: every `interval` days/weeks/months, optionally on given
+// weekdays (weekly) or day of month (monthly), ending at `until` or after `count` occurrences
+const recurrenceSchema = new mongoose.Schema({
+    frequency: {
+        type: String,
+        enum: FREQUENCIES,
+        required: true
+    },
+    interval: {
+        type: Number,
+        min: 1,
+        max: 365,
+        default: 1
+    },
+    byWeekday: [{
+        type: Number,
+        min: 0,
+        max: 6
+    }],
+    byMonthDay: {
+        type: Number,
+        min: 1,
+        max: 31
+    },
+    until: Date,
+    count: {
+        type: Number,
+        min: 1
+    }
+}, { _id: false });
+
+// A series holds the template shared by every occurrence of a recurring task.
+// Occurrences are regular tasks; the next one is created when the current one is completed.
+const taskSeriesSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    project: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Project',
+        default: null
+    },
+    title: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: 500
+    },
+    autoComplete: {
+        type: Boolean,
+        default: false
+    },
+    strictSubtasks: {
+        type: Boolean,
+        default: false
+    },
+    recurrence: {
+        type: recurrenceSchema,
+        required: true
+    },
+    occurrenceCount: {
+        type: Number,
+        default: 1
+    },
+    active: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+taskSeriesSchema.index({ user: 1 });
+
+const TaskSeries = mongoose.model('TaskSeries', taskSeriesSchema);
+
+TaskSeries.FREQUENCIES = FREQUENCIES;
+
+module.exports = TaskSeries;
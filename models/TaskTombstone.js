@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const TOMBSTONE_RETENTION_DAYS = 90;
+
+// Marks a task that is gone for good (or no longer visible to some users), so offline
+// clients can drop their copy on their next sync
+const taskTombstoneSchema = new mongoose.Schema({
+    task: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    clientId: String,
+    // Users and project whose members should drop the task
+    users: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    project: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Project',
+        default: null
+    },
+    reason: {
+        type: String,
+        enum: ['deleted', 'unshared'],
+        default: 'deleted'
+    },
+    deletedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+taskTombstoneSchema.index({ users: 1, deletedAt: 1 });
+taskTombstoneSchema.index({ project: 1, deletedAt: 1 });
+taskTombstoneSchema.index({ deletedAt: 1 }, { expireAfterSeconds: TOMBSTONE_RETENTION_DAYS * 24 * 60 * 60 });
+
+// Record tombstones for tasks that are about to be permanently deleted
+taskTombstoneSchema.statics.recordDeleted = async function (tasks) {
+    if (!tasks.length) return;
+    await this.insertMany(tasks.map(task => ({
+        task: task._id,
+        clientId: task.clientId,
+        users: [task.user, ...task.assignees],
+        project: task.project
+    })));
+};
+
+const TaskTombstone = mongoose.model('TaskTombstone', taskTombstoneSchema);
+
+TaskTombstone.RETENTION_DAYS = TOMBSTONE_RETENTION_DAYS;
+
+module.exports = TaskTombstone;
@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { isValidTimeZone } = require('../utils/timezone');
+
+const USER_ROLES = ['user', 'admin'];
 
 const userSchema = new mongoose.Schema({
     username: {
@@ -22,11 +25,111 @@ const userSchema = new mongoose.Schema({
         type: String,
         required: [true, 'Password is required'],
         minlength: [6, 'Password must be at least 6 characters long']
+    },
+    role: {
+        type: String,
+        enum: USER_ROLES,
+        default: 'user'
+    },
+    // Disabled accounts can't log in, refresh tokens or use API keys and calendar feeds
+    disabledAt: {
+        type: Date,
+        default: null
+    },
+    disabledReason: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Reason cannot exceed 500 characters']
+    },
+    emailVerified: {
+        type: Boolean,
+        default: false
+    },
+    emailVerifiedAt: Date,
+    // New address from a profile update; it replaces `email` once its verification link is used
+    pendingEmail: {
+        type: String,
+        lowercase: true,
+        trim: true,
+        match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+    },
+    passwordChangedAt: Date,
+    // IANA time zone used for "today", overdue and reminder calculations
+    timezone: {
+        type: String,
+        default: 'UTC',
+        validate: [isValidTimeZone, 'Please enter a valid time zone']
+    },
+    // Display preferences for clients
+    preferences: {
+        theme: {
+            type: String,
+            enum: ['system', 'light', 'dark'],
+            default: 'system'
+        },
+        weekStart: {
+            type: String,
+            enum: ['monday', 'sunday'],
+            default: 'monday'
+        }
+    },
+    // Due-date reminders; offsets are minutes before the due date
+    reminderSettings: {
+        enabled: {
+            type: Boolean,
+            default: true
+        },
+        offsets: {
+            type: [{ type: Number, min: 1, max: 7 * 24 * 60 }],
+            default: [24 * 60, 60]
+        },
+        overdue: {
+            type: Boolean,
+            default: true
+        },
+        // External delivery in addition to the in-app notification
+        channels: [{
+            type: String,
+            enum: ['email', 'webhook']
+        }],
+        webhookUrl: {
+            type: String,
+            trim: true
+        }
+    },
+    // TOTP two-factor authentication. Secrets are encrypted; recovery codes are hashed.
+    twoFactor: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        secret: String,
+        // Set between setup and confirmation
+        pendingSecret: String,
+        enabledAt: Date,
+        // Last accepted TOTP time step, so a code can't be used twice
+        lastUsedStep: Number,
+        recoveryCodes: [{
+            _id: false,
+            codeHash: String,
+            usedAt: {
+                type: Date,
+                default: null
+            }
+        }]
+    },
+    // Secret calendar feed URL; only a hash of its token is stored
+    calendarFeed: {
+        tokenHash: String,
+        createdAt: Date,
+        lastAccessedAt: Date
     }
 }, {
     timestamps: true
 });
 
+userSchema.index({ 'calendarFeed.tokenHash': 1 }, { unique: true, sparse: true });
+
 // Hash password before saving
 userSchema.pre('save', async function (next) {
     if (!this.isModified('password')) return next();
@@ -34,6 +137,7 @@ userSchema.pre('save', async function (next) {
     try {
         const salt = await bcrypt.genSalt(10);
         this.password = await bcrypt.hash(this.password, salt);
+        if (!this.isNew) this.passwordChangedAt = new Date();
         next();
     } catch (error) {
         next(error);
@@ -49,7 +153,18 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
 userSchema.methods.toJSON = function () {
     const user = this.toObject();
     delete user.password;
+    if (user.calendarFeed) delete user.calendarFeed.tokenHash;
+    const twoFactor = user.twoFactor || {};
+    user.twoFactor = {
+        enabled: Boolean(twoFactor.enabled),
+        enabledAt: twoFactor.enabledAt || null,
+        recoveryCodesRemaining: (twoFactor.recoveryCodes || []).filter(code => !code.usedAt).length
+    };
     return user;
 };
 
-module.exports = mongoose.model('User', userSchema); 
\ No newline at end of file
+const User = mongoose.model('User', userSchema);
+
+User.ROLES = USER_ROLES;
+
+module.exports = User; 
\ No newline at end of file
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Single-use tokens sent by email (password reset, email verification) and two-factor
+// login challenges.
+// Only a hash of each token is stored; expired tokens are removed by MongoDB.
+const userTokenSchema = new mongoose.Schema({
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    purpose: {
+        type: String,
+        enum: ['password_reset', 'email_verification', 'two_factor_challenge'],
+        required: true
+    },
+    // Failed attempts, for tokens that are checked together with a code
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    usedAt: {
+        type: Date,
+        default: null
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+userTokenSchema.index({ user: 1, purpose: 1 });
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('UserToken', userTokenSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const webhookSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    url: {
+        type: String,
+        required: [true, 'URL is required'],
+        trim: true
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Description cannot exceed 200 characters']
+    },
+    // Task events this endpoint is subscribed to, e.g. task.created
+    events: {
+        type: [String],
+        validate: [events => events.length > 0, 'At least one event is required']
+    },
+    // Shared secret for the HMAC signature; only returned when created or rotated
+    secret: {
+        type: String,
+        required: true
+    },
+    active: {
+        type: Boolean,
+        default: true
+    },
+    // Failed attempts since the last successful delivery
+    consecutiveFailures: {
+        type: Number,
+        default: 0
+    },
+    lastSuccessAt: Date,
+    lastFailureAt: Date,
+    disabledAt: Date,
+    disabledReason: String
+}, {
+    timestamps: true
+});
+
+webhookSchema.index({ user: 1, active: 1, events: 1 });
+
+// Never expose the signing secret
+webhookSchema.methods.toJSON = function () {
+    const webhook = this.toObject();
+    delete webhook.secret;
+    return webhook;
+};
+
+module.exports = mongoose.model('Webhook', webhookSchema);
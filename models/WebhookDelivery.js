@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// Delivery log entries are kept for 30 days
+const DELIVERY_RETENTION_SECONDS = 30 * 24 * 60 * 60;
+
+const webhookDeliverySchema = new mongoose.Schema({
+    webhook: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Webhook',
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    event: {
+        type: String,
+        required: true
+    },
+    // Exact body sent to the endpoint, kept for replays
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'success', 'failed'],
+        default: 'pending'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    // When the next attempt is due; null once the delivery succeeded or gave up
+    nextAttemptAt: {
+        type: Date,
+        default: Date.now
+    },
+    lastAttemptAt: Date,
+    deliveredAt: Date,
+    responseStatus: Number,
+    responseBody: String,
+    lastError: String,
+    // Original delivery when this one is a replay
+    replayOf: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'WebhookDelivery',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1, _id: -1 });
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: DELIVERY_RETENTION_SECONDS });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,102 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const TaskActivity = require('../models/TaskActivity');
+const Project = require('../models/Project');
+const auth = require('../middleware/auth');
+const { paginate, MAX_LIMIT } = require('../utils/pagination');
+
+const router = express.Router();
+
+// Apply auth middleware to all routes
+router.use(auth);
+
+// @route   GET /api/activity
+// @desc    Get the activity feed of the authenticated user: their own actions plus
+//          changes to their personal tasks and to tasks of their projects
+// @access  Private
+router.get('/', [
+    query('action')
+        .optional()
+        .isIn(TaskActivity.ACTIONS)
+        .withMessage(`Action must be one of: ${TaskActivity.ACTIONS.join(', ')}`),
+    query('actor')
+        .optional()
+        .isIn(['me'])
+        .withMessage('Actor must be "me"'),
+    query('project')
+        .optional()
+        .isMongoId()
+        .withMessage('Project must be a valid ID'),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: MAX_LIMIT })
+        .withMessage(`Limit must be between 1 and ${MAX_LIMIT}`),
+    query('cursor')
+        .optional()
+        .isString()
+        .notEmpty()
+        .withMessage('Cursor must be a non-empty string')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { action, actor, project, limit, cursor } = req.query;
+        const projectIds = await Project.idsForUser(req.user._id);
+
+        let filter;
+        if (project) {
+            if (!projectIds.some(id => id.toString() === project)) {
+                return res.status(404).json({
+                    message: 'Project not found',
+                    error: 'PROJECT_NOT_FOUND'
+                });
+            }
+            filter = { project };
+        } else {
+            filter = {
+                $or: [
+                    { actor: req.user._id },
+                    { owner: req.user._id, project: null },
+                    { project: { $in: projectIds } }
+                ]
+            };
+        }
+
+        if (action) filter.action = action;
+        if (actor === 'me') filter.actor = req.user._id;
+
+        const { items: activity, pagination } = await paginate(TaskActivity, filter, {
+            sortBy: 'createdAt',
+            direction: -1,
+            limit,
+            cursor,
+            populate: { path: 'actor', select: 'username email' }
+        });
+
+        res.json({
+            activity,
+            pagination
+        });
+    } catch (error) {
+        console.error('Get activity error:', error);
+        if (error.code === 'INVALID_CURSOR') {
+            return res.status(400).json({
+                message: 'Invalid pagination cursor',
+                error: 'INVALID_CURSOR'
+            });
+        }
+        res.status(500).json({
+            message: 'Server error',
+            error: 'GET_ACTIVITY_ERROR'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,383 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const User = require('../models/User');
+const Project = require('../models/Project');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { paginate, MAX_LIMIT } = require('../utils/pagination');
+const { revokeAllSessions } = require('../utils/tokens');
+const { sendPasswordResetEmail, sendPasswordChangedEmail } = require('../utils/accountTokens');
+const { clearLoginFailures } = require('../utils/loginLockout');
+const { buildUserFilter, taskCountsByUser, getUserTaskCounts, getSystemStats } = require('../utils/admin');
+
+const router = express.Router();
+
+// Every admin route needs a logged-in admin
+router.use(auth);
+router.use(authorize('admin'));
+
+// Admins can't disable or demote themselves, so there is always at least one admin left
+const isSelf = (req) => req.user._id.equals(req.params.id);
+
+// @route   GET /api/admin/users
+// @desc    List and search users, with the number of tasks each one owns
+// @access  Private (admin)
+router.get('/users', [
+    query('search')
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage('Search cannot exceed 100 characters'),
+    query('role')
+        .optional()
+        .isIn(User.ROLES)
+        .withMessage(`Role must be one of: ${User.ROLES.join(', ')}`),
+    query('status')
+        .optional()
+        .isIn(['active', 'disabled'])
+        .withMessage('Status must be active or disabled'),
+    query('sortBy')
+        .optional()
+        .isIn(['createdAt', 'username', 'email'])
+        .withMessage('Sort by must be one of: createdAt, username, email'),
+    query('sortOrder')
+        .optional()
+        .isIn(['asc', 'desc'])
+        .withMessage('Sort order must be asc or desc'),
+    query('page')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Page must be a positive integer'),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: MAX_LIMIT })
+        .withMessage(`Limit must be between 1 and ${MAX_LIMIT}`)
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { sortBy = 'createdAt', sortOrder = 'desc', page, limit } = req.query;
+
+        const { items, pagination } = await paginate(User, buildUserFilter(req.query), {
+            sortBy,
+            direction: sortOrder === 'asc' ? 1 : -1,
+            limit,
+            page
+        });
+
+        const taskCounts = await taskCountsByUser(items.map(user => user._id));
+
+        res.json({
+            users: items.map(user => ({
+                ...user.toJSON(),
+                taskCount: taskCounts.get(user._id.toString()) || 0
+            })),
+            pagination
+        });
+    } catch (error) {
+        console.error('Admin get users error:', error);
+        res.status(500).json({
+            message: 'Server error',
+            error: 'ADMIN_GET_USERS_ERROR'
+        });
+    }
+});
+
+// @route   GET /api/admin/users/:id
+// @desc    Get a user with their task counts, projects, active sessions and API keys
+// @access  Private (admin)
+router.get('/users/:id', async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({
+                message: 'User not found',
+                error: 'USER_NOT_FOUND'
+            });
+        }
+
+        const now = new Date();
+        const [tasks, projects, activeSessions, activeApiKeys] = await Promise.all([
+            getUserTaskCounts(user, now),
+            Project.countDocuments({ 'members.user': user._id }),
+            Session.countDocuments({ user: user._id, revokedAt: null, expiresAt: { $gt: now } }),
+            ApiKey.countDocuments({
+                user: user._id,
+                revokedAt: null,
+                $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+            })
+        ]);
+
+        res.json({
+            user,
+            tasks,
+            projects,
+            activeSessions,
+            activeApiKeys
+        });
+    } catch (error) {
+        console.error('Admin get user error:', error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({
+                message: 'Invalid user ID',
+                error: 'INVALID_USER_ID'
+            });
+        }
+        res.status(500).json({
+            message: 'Server error',
+            error: 'ADMIN_GET_USER_ERROR'
+        });
+    }
+});
+
+// @route   PATCH /api/admin/users/:id/role
+// @desc    Change a user's role
+// @access  Private (admin)
+router.patch('/users/:id/role', [
+    body('role')
+        .isIn(User.ROLES)
+        .withMessage(`Role must be one of: ${User.ROLES.join(', ')}`)
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        if (isSelf(req)) {
+            return res.status(400).json({
+                message: 'You cannot change your own role',
+                error: 'CANNOT_MODIFY_SELF'
+            });
+        }
+
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({
+                message: 'User not found',
+                error: 'USER_NOT_FOUND'
+            });
+        }
+
+        user.role = req.body.role;
+        await user.save();
+
+        res.json({
+            message: 'Role updated successfully',
+            user
+        });
+    } catch (error) {
+        console.error('Admin update role error:', error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({
+                message: 'Invalid user ID',
+                error: 'INVALID_USER_ID'
+            });
+        }
+        res.status(500).json({
+            message: 'Server error',
+            error: 'ADMIN_UPDATE_ROLE_ERROR'
+        });
+    }
+});
+
+// @route   POST /api/admin/users/:id/disable
+// @desc    Disable an account: logs out every session and refuses logins, tokens,
+//          API keys and the calendar feed until it is enabled again
+// @access  Private (admin)
+router.post('/users/:id/disable', [
+    body('reason')
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Reason cannot exceed 500 characters')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        if (isSelf(req)) {
+            return res.status(400).json({
+                message: 'You cannot disable your own account',
+                error: 'CANNOT_MODIFY_SELF'
+            });
+        }
+
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({
+                message: 'User not found',
+                error: 'USER_NOT_FOUND'
+            });
+        }
+
+        if (!user.disabledAt) {
+            user.disabledAt = new Date();
+        }
+        user.disabledReason = req.body.reason;
+        await user.save();
+
+        const revokedSessions = await revokeAllSessions(user._id, 'account_disabled');
+
+        res.json({
+            message: 'Account disabled successfully',
+            user,
+            revokedSessions
+        });
+    } catch (error) {
+        console.error('Admin disable user error:', error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({
+                message: 'Invalid user ID',
+                error: 'INVALID_USER_ID'
+            });
+        }
+        res.status(500).json({
+            message: 'Server error',
+            error: 'ADMIN_DISABLE_USER_ERROR'
+        });
+    }
+});
+
+// @route   POST /api/admin/users/:id/enable
+// @desc    Enable a disabled account. The user has to log in again.
+// @access  Private (admin)
+router.post('/users/:id/enable', async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({
+                message: 'User not found',
+                error: 'USER_NOT_FOUND'
+            });
+        }
+
+        user.disabledAt = null;
+        user.disabledReason = undefined;
+        await user.save();
+        await clearLoginFailures(user.email);
+
+        res.json({
+            message: 'Account enabled successfully',
+            user
+        });
+    } catch (error) {
+        console.error('Admin enable user error:', error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({
+                message: 'Invalid user ID',
+                error: 'INVALID_USER_ID'
+            });
+        }
+        res.status(500).json({
+            message: 'Server error',
+            error: 'ADMIN_ENABLE_USER_ERROR'
+        });
+    }
+});
+
+// @route   POST /api/admin/users/:id/reset-password
+// @desc    Reset a user's password. With `password` it is set directly and every session is
+//          logged out; without it the user is emailed a password reset link.
+// @access  Private (admin)
+router.post('/users/:id/reset-password', [
+    body('password')
+        .optional()
+        .isLength({ min: 6 })
+        .withMessage('Password must be at least 6 characters long')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({
+                message: 'User not found',
+                error: 'USER_NOT_FOUND'
+            });
+        }
+
+        if (req.body.password === undefined) {
+            await sendPasswordResetEmail(user);
+            return res.json({
+                message: 'Password reset link sent'
+            });
+        }
+
+        user.password = req.body.password;
+        await user.save();
+
+        const revokedSessions = await revokeAllSessions(user._id, 'password_reset');
+        await clearLoginFailures(user.email);
+
+        try {
+            await sendPasswordChangedEmail(user);
+        } catch (mailError) {
+            console.error('Password changed email error:', mailError);
+        }
+
+        res.json({
+            message: 'Password reset successfully',
+            revokedSessions
+        });
+    } catch (error) {
+        console.error('Admin reset password error:', error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({
+                message: 'Invalid user ID',
+                error: 'INVALID_USER_ID'
+            });
+        }
+        res.status(500).json({
+            message: 'Server error',
+            error: 'ADMIN_RESET_PASSWORD_ERROR'
+        });
+    }
+});
+
+// @route   GET /api/admin/stats
+// @desc    System-wide counts of users, tasks, projects, sessions and API keys
+// @access  Private (admin)
+router.get('/stats', async (req, res) => {
+    try {
+        const stats = await getSystemStats();
+
+        res.json({ stats });
+    } catch (error) {
+        console.error('Admin stats error:', error);
+        res.status(500).json({
+            message: 'Server error',
+            error: 'ADMIN_STATS_ERROR'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,149 @@
+const express = require('express');
+const crypto = require('crypto');
+const { body, validationResult } = require('express-validator');
+const ApiKey = require('../models/ApiKey');
+const auth = require('../middleware/auth');
+const { hashToken } = require('../utils/tokens');
+
+const router = express.Router();
+
+// Mounted under /api/auth/api-keys. Keys can only be managed from a login session,
+// never with another API key.
+router.use(auth);
+
+const MAX_ACTIVE_API_KEYS = 20;
+
+// @route   GET /api/auth/api-keys
+// @desc    Get the user's API keys, including revoked and expired ones
+// @access  Private
+router.get('/', async (req, res) => {
+    try {
+        const apiKeys = await ApiKey.find({ user: req.user._id }).sort({ createdAt: -1 });
+
+        res.json({
+            apiKeys: apiKeys.map(apiKey => ({ ...apiKey.toJSON(), active: apiKey.isActive() })),
+            scopes: ApiKey.SCOPES
+        });
+    } catch (error) {
+        console.error('Get API keys error:', error);
+        res.status(500).json({
+            message: 'Server error',
+            error: 'GET_API_KEYS_ERROR'
+        });
+    }
+});
+
+// @route   POST /api/auth/api-keys
+// @desc    Create an API key. The key itself is only returned in this response.
+// @access  Private
+router.post('/', [
+    body('name')
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Name is required and cannot exceed 100 characters'),
+    body('scopes')
+        .isArray({ min: 1 })
+        .withMessage('Scopes must be a non-empty list'),
+    body('scopes.*')
+        .isIn(ApiKey.SCOPES)
+        .withMessage(`Each scope must be one of: ${ApiKey.SCOPES.join(', ')}`),
+    body('expiresAt')
+        .optional({ values: 'null' })
+        .isISO8601()
+        .withMessage('Expiry must be a valid date')
+        .custom(value => new Date(value) > new Date())
+        .withMessage('Expiry must be in the future')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const activeCount = await ApiKey.countDocuments({
+            user: req.user._id,
+            revokedAt: null,
+            $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+        });
+        if (activeCount >= MAX_ACTIVE_API_KEYS) {
+            return res.status(400).json({
+                message: `You cannot have more than ${MAX_ACTIVE_API_KEYS} active API keys`,
+                error: 'API_KEY_LIMIT_REACHED'
+            });
+        }
+
+        const { name, scopes, expiresAt } = req.body;
+        const key = `${ApiKey.PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+        const apiKey = new ApiKey({
+            user: req.user._id,
+            name,
+            keyHash: hashToken(key),
+            prefix: key.slice(0, ApiKey.PREFIX.length + 6),
+            scopes: [...new Set(scopes)],
+            expiresAt: expiresAt ? new Date(expiresAt) : null
+        });
+
+        await apiKey.save();
+
+        res.status(201).json({
+            message: 'API key created. Copy it now, it will not be shown again.',
+            apiKey,
+            key
+        });
+    } catch (error) {
+        console.error('Create API key error:', error);
+        res.status(500).json({
+            message: 'Server error',
+            error: 'CREATE_API_KEY_ERROR'
+        });
+    }
+});
+
+// @route   DELETE /api/auth/api-keys/:id
+// @desc    Revoke an API key; requests using it are refused from then on
+// @access  Private
+router.delete('/:id', async (req, res) => {
+    try {
+        const apiKey = await ApiKey.findOne({
+            _id: req.params.id,
+            user: req.user._id
+        });
+
+        if (!apiKey) {
+            return res.status(404).json({
+                message: 'API key not found',
+                error: 'API_KEY_NOT_FOUND'
+            });
+        }
+
+        if (!apiKey.revokedAt) {
+            apiKey.revokedAt = new Date();
+            await apiKey.save();
+        }
+
+        res.json({
+            message: 'API key revoked successfully',
+            apiKey
+        });
+    } catch (error) {
+        console.error('Revoke API key error:', error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({
+                message: 'Invalid API key ID',
+                error: 'INVALID_API_KEY_ID'
+            });
+        }
+        res.status(500).json({
+            message: 'Server error',
+            error: 'REVOKE_API_KEY_ERROR'
+        });
+    }
+});
+
+module.exports = router;
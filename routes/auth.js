@@ -1,30 +1,48 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const auth = require('../middleware/auth');
+const { sendTooManyRequests, authAccountLimiter, registerLimiter } = require('../middleware/rateLimit');
+const { createSession, rotateRefreshToken, revokeAllSessions } = require('../utils/tokens');
+const { exportUserData, soleOwnedSharedProjects, deleteUserData } = require('../utils/accountData');
+const { isValidTimeZone } = require('../utils/timezone');
+const { getLoginLock, recordLoginFailure, clearLoginFailures } = require('../utils/loginLockout');
+const { consumeTwoFactorCode, remainingRecoveryCodes } = require('../utils/twoFactor');
+const {
+    TWO_FACTOR_CHALLENGE_TTL_SECONDS,
+    issueUserToken,
+    consumeUserToken,
+    findUserToken,
+    recordTokenFailure,
+    sendVerificationEmail,
+    sendPasswordResetEmail,
+    sendPasswordChangedEmail
+} = require('../utils/accountTokens');
 
 const router = express.Router();
 
-// Generate JWT token
-const generateToken = (userId) => {
-    return jwt.sign({ userId }, process.env.JWT_SECRET, { expiresIn: '7d' });
-};
+// Wrong codes allowed per two-factor login challenge before the user has to log in again
+const MAX_CHALLENGE_ATTEMPTS = 5;
+
+// Username and email rules shared by register and profile updates
+const usernameRules = (chain) => chain
+    .isLength({ min: 3, max: 30 })
+    .withMessage('Username must be between 3 and 30 characters')
+    .trim()
+    .matches(/^[a-zA-Z0-9_]+$/)
+    .withMessage('Username can only contain letters, numbers, and underscores');
+
+const emailRules = (chain) => chain
+    .isEmail()
+    .withMessage('Please enter a valid email')
+    .normalizeEmail();
 
 // @route   POST /api/auth/register
 // @desc    Register a new user
 // @access  Public
-router.post('/register', [
-    body('username')
-        .isLength({ min: 3, max: 30 })
-        .withMessage('Username must be between 3 and 30 characters')
-        .trim()
-        .matches(/^[a-zA-Z0-9_]+$/)
-        .withMessage('Username can only contain letters, numbers, and underscores'),
-    body('email')
-        .isEmail()
-        .withMessage('Please enter a valid email')
-        .normalizeEmail(),
+router.post('/register', registerLimiter, [
+    usernameRules(body('username')),
+    emailRules(body('email')),
     body('password')
         .isLength({ min: 6 })
         .withMessage('Password must be at least 6 characters long')
@@ -62,12 +80,19 @@ router.post('/register', [
 
         await user.save();
 
-        // Generate token
-        const token = generateToken(user._id);
+        // A mail failure shouldn't fail the registration; the user can ask for a new link
+        try {
+            await sendVerificationEmail(user);
+        } catch (mailError) {
+            console.error('Verification email error:', mailError);
+        }
+
+        // Start a session and issue tokens
+        const tokens = await createSession(user, req);
 
         res.status(201).json({
             message: 'User registered successfully',
-            token,
+            ...tokens,
             user: user.toJSON()
         });
 
@@ -97,7 +122,7 @@ router.post('/login', [
     body('password')
         .notEmpty()
         .withMessage('Password is required')
-], async (req, res) => {
+], authAccountLimiter, async (req, res) => {
     try {
         // Check for validation errors
         const errors = validationResult(req);
@@ -110,9 +135,16 @@ router.post('/login', [
 
         const { email, password } = req.body;
 
+        // Locked accounts are refused before the password is checked
+        const lockedUntil = await getLoginLock(email);
+        if (lockedUntil) {
+            return sendTooManyRequests(res, lockedUntil, 'Too many failed login attempts, please try again later', 'ACCOUNT_LOCKED');
+        }
+
         // Find user by email
         const user = await User.findOne({ email });
         if (!user) {
+            await recordLoginFailure(email);
             return res.status(400).json({
                 message: 'Invalid credentials',
                 error: 'INVALID_CREDENTIALS'
@@ -122,18 +154,39 @@ router.post('/login', [
         // Check password
         const isPasswordValid = await user.comparePassword(password);
         if (!isPasswordValid) {
+            await recordLoginFailure(email);
             return res.status(400).json({
                 message: 'Invalid credentials',
                 error: 'INVALID_CREDENTIALS'
             });
         }
 
-        // Generate token
-        const token = generateToken(user._id);
+        if (user.disabledAt) {
+            return res.status(403).json({
+                message: 'This account has been disabled',
+                error: 'ACCOUNT_DISABLED'
+            });
+        }
+
+        // With two-factor authentication the password only earns a challenge for the second step
+        if (user.twoFactor.enabled) {
+            const challengeToken = await issueUserToken(user._id, 'two_factor_challenge');
+            return res.json({
+                message: 'Two-factor authentication required',
+                twoFactorRequired: true,
+                challengeToken,
+                expiresIn: TWO_FACTOR_CHALLENGE_TTL_SECONDS
+            });
+        }
+
+        await clearLoginFailures(email);
+
+        // Start a session and issue tokens
+        const tokens = await createSession(user, req);
 
         res.json({
             message: 'Login successful',
-            token,
+            ...tokens,
             user: user.toJSON()
         });
 
@@ -146,6 +199,417 @@ router.post('/login', [
     }
 });
 
+// @route   POST /api/auth/login/verify
+// @desc    Second login step with two-factor authentication: exchange the login challenge and
+//          a code from the authenticator app (or a recovery code) for tokens
+// @access  Public
+router.post('/login/verify', [
+    body('challengeToken')
+        .isString()
+        .notEmpty()
+        .withMessage('Challenge token is required'),
+    body('code')
+        .isString()
+        .trim()
+        .notEmpty()
+        .withMessage('Code is required')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { challengeToken, code } = req.body;
+
+        const challenge = await findUserToken(challengeToken, 'two_factor_challenge');
+        const user = challenge ? await User.findById(challenge.user) : null;
+        if (!user || !user.twoFactor.enabled) {
+            return res.status(400).json({
+                message: 'Login challenge is invalid or has expired. Please log in again.',
+                error: 'INVALID_CHALLENGE'
+            });
+        }
+
+        if (user.disabledAt) {
+            return res.status(403).json({
+                message: 'This account has been disabled',
+                error: 'ACCOUNT_DISABLED'
+            });
+        }
+
+        const lockedUntil = await getLoginLock(user.email);
+        if (lockedUntil) {
+            return sendTooManyRequests(res, lockedUntil, 'Too many failed login attempts, please try again later', 'ACCOUNT_LOCKED');
+        }
+
+        const method = await consumeTwoFactorCode(user, code);
+        if (!method) {
+            await recordLoginFailure(user.email);
+            await recordTokenFailure(challenge, MAX_CHALLENGE_ATTEMPTS);
+            return res.status(400).json({
+                message: 'Invalid two-factor authentication code',
+                error: 'INVALID_TWO_FACTOR_CODE'
+            });
+        }
+
+        // Use the challenge up; a concurrent request may have done so already
+        const claimed = await consumeUserToken(challengeToken, 'two_factor_challenge');
+        if (!claimed) {
+            return res.status(400).json({
+                message: 'Login challenge is invalid or has expired. Please log in again.',
+                error: 'INVALID_CHALLENGE'
+            });
+        }
+
+        await clearLoginFailures(user.email);
+
+        // Start a session and issue tokens
+        const tokens = await createSession(user, req);
+
+        res.json({
+            message: 'Login successful',
+            ...tokens,
+            user: (await User.findById(user._id)).toJSON(),
+            ...(method === 'recovery' && { recoveryCodesRemaining: await remainingRecoveryCodes(user._id) })
+        });
+    } catch (error) {
+        console.error('Two-factor login error:', error);
+        res.status(500).json({
+            message: 'Server error',
+            error: 'LOGIN_ERROR'
+        });
+    }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access/refresh token pair
+// @access  Public
+router.post('/refresh', [
+    body('refreshToken')
+        .isString()
+        .notEmpty()
+        .withMessage('Refresh token is required')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const tokens = await rotateRefreshToken(req.body.refreshToken);
+
+        res.json({
+            message: 'Token refreshed successfully',
+            ...tokens
+        });
+    } catch (error) {
+        if (error.name === 'TokenError') {
+            return res.status(401).json({
+                message: error.message,
+                error: error.code
+            });
+        }
+        console.error('Refresh token error:', error);
+        res.status(500).json({
+            message: 'Server error',
+            error: 'REFRESH_ERROR'
+        });
+    }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Revoke the current session
+// @access  Private
+router.post('/logout', auth, async (req, res) => {
+    try {
+        await req.authSession.revoke('logout');
+
+        res.json({
+            message: 'Logged out successfully'
+        });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({
+            message: 'Server error',
+            error: 'LOGOUT_ERROR'
+        });
+    }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    Revoke every session of the user (log out all devices)
+// @access  Private
+router.post('/logout-all', auth, async (req, res) => {
+    try {
+        const revokedSessions = await revokeAllSessions(req.user._id, 'logout_all');
+
+        res.json({
+            message: 'Logged out from all devices successfully',
+            revokedSessions
+        });
+    } catch (error) {
+        console.error('Logout all error:', error);
+        res.status(500).json({
+            message: 'Server error',
+            error: 'LOGOUT_ALL_ERROR'
+        });
+    }
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Confirm the user's email address with the token from the verification email
+// @access  Public
+router.post('/verify-email', [
+    body('token')
+        .isString()
+        .notEmpty()
+        .withMessage('Verification token is required')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const stored = await consumeUserToken(req.body.token, 'email_verification');
+        const user = stored ? await User.findById(stored.user) : null;
+        if (!user) {
+            return res.status(400).json({
+                message: 'Verification link is invalid or has expired',
+                error: 'INVALID_VERIFICATION_TOKEN'
+            });
+        }
+
+        if (user.pendingEmail) {
+            const existingUser = await User.findOne({ _id: { $ne: user._id }, email: user.pendingEmail });
+            if (existingUser) {
+                return res.status(400).json({
+                    message: 'User with this email or username already exists',
+                    error: 'USER_EXISTS'
+                });
+            }
+
+            user.email = user.pendingEmail;
+            user.pendingEmail = undefined;
+            user.emailVerified = true;
+            user.emailVerifiedAt = new Date();
+            await user.save();
+        } else if (!user.emailVerified) {
+            user.emailVerified = true;
+            user.emailVerifiedAt = new Date();
+            await user.save();
+        }
+
+        res.json({
+            message: 'Email verified successfully',
+            user: user.toJSON()
+        });
+    } catch (error) {
+        console.error('Verify email error:', error);
+        res.status(500).json({
+            message: 'Server error',
+            error: 'VERIFY_EMAIL_ERROR'
+        });
+    }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new verification email; earlier links stop working
+// @access  Private
+router.post('/resend-verification', auth, authAccountLimiter, async (req, res) => {
+    try {
+        if (req.user.emailVerified && !req.user.pendingEmail) {
+            return res.status(400).json({
+                message: 'Email is already verified',
+                error: 'EMAIL_ALREADY_VERIFIED'
+            });
+        }
+
+        await sendVerificationEmail(req.user);
+
+        res.json({
+            message: 'Verification email sent'
+        });
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        res.status(500).json({
+            message: 'Server error',
+            error: 'RESEND_VERIFICATION_ERROR'
+        });
+    }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link. The response is the same whether or not the
+//          email belongs to an account.
+// @access  Public
+router.post('/forgot-password', [
+    body('email')
+        .isEmail()
+        .withMessage('Please enter a valid email')
+        .normalizeEmail()
+], authAccountLimiter, async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const user = await User.findOne({ email: req.body.email });
+        if (user && !user.disabledAt) {
+            try {
+                await sendPasswordResetEmail(user);
+            } catch (mailError) {
+                console.error('Password reset email error:', mailError);
+            }
+        }
+
+        res.json({
+            message: 'If an account exists for this email, a password reset link has been sent'
+        });
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({
+            message: 'Server error',
+            error: 'FORGOT_PASSWORD_ERROR'
+        });
+    }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password with the token from the reset email. Logs out every session.
+// @access  Public
+router.post('/reset-password', [
+    body('token')
+        .isString()
+        .notEmpty()
+        .withMessage('Reset token is required'),
+    body('password')
+        .isLength({ min: 6 })
+        .withMessage('Password must be at least 6 characters long')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const stored = await consumeUserToken(req.body.token, 'password_reset');
+        const user = stored ? await User.findById(stored.user) : null;
+        if (!user) {
+            return res.status(400).json({
+                message: 'Reset link is invalid or has expired',
+                error: 'INVALID_RESET_TOKEN'
+            });
+        }
+
+        user.password = req.body.password;
+        // The reset link was delivered to this address, which proves the user owns it
+        if (!user.emailVerified) {
+            user.emailVerified = true;
+            user.emailVerifiedAt = new Date();
+        }
+        await user.save();
+
+        const revokedSessions = await revokeAllSessions(user._id, 'password_reset');
+        await clearLoginFailures(user.email);
+
+        res.json({
+            message: 'Password reset successfully. Please log in with your new password.',
+            revokedSessions
+        });
+    } catch (error) {
+        console.error('Reset password error:', error);
+        res.status(500).json({
+            message: 'Server error',
+            error: 'RESET_PASSWORD_ERROR'
+        });
+    }
+});
+
+// @route   PUT /api/auth/password
+// @desc    Change the password. Other sessions are logged out; the current one stays active.
+// @access  Private
+router.put('/password', auth, authAccountLimiter, [
+    body('currentPassword')
+        .notEmpty()
+        .withMessage('Current password is required'),
+    body('newPassword')
+        .isLength({ min: 6 })
+        .withMessage('Password must be at least 6 characters long')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { currentPassword, newPassword } = req.body;
+
+        const isPasswordValid = await req.user.comparePassword(currentPassword);
+        if (!isPasswordValid) {
+            return res.status(400).json({
+                message: 'Current password is incorrect',
+                error: 'INVALID_CURRENT_PASSWORD'
+            });
+        }
+
+        if (await req.user.comparePassword(newPassword)) {
+            return res.status(400).json({
+                message: 'New password must be different from the current password',
+                error: 'PASSWORD_UNCHANGED'
+            });
+        }
+
+        req.user.password = newPassword;
+        await req.user.save();
+
+        const revokedSessions = await revokeAllSessions(req.user._id, 'password_changed', { except: req.authSession._id });
+
+        try {
+            await sendPasswordChangedEmail(req.user);
+        } catch (mailError) {
+            console.error('Password changed email error:', mailError);
+        }
+
+        res.json({
+            message: 'Password changed successfully',
+            revokedSessions
+        });
+    } catch (error) {
+        console.error('Change password error:', error);
+        res.status(500).json({
+            message: 'Server error',
+            error: 'CHANGE_PASSWORD_ERROR'
+        });
+    }
+});
+
 // @route   GET /api/auth/profile
 // @desc    Get user profile
 // @access  Private
@@ -164,4 +628,166 @@ router.get('/profile', auth, async (req, res) => {
     }
 });
 
+// @route   PUT /api/auth/profile
+// @desc    Update username, email, time zone and display preferences. Changing the email
+//          marks it unverified and sends a verification email to the new address.
+// @access  Private
+router.put('/profile', auth, [
+    usernameRules(body('username').optional()),
+    emailRules(body('email').optional()),
+    body('timezone')
+        .optional()
+        .custom(value => typeof value === 'string' && isValidTimeZone(value))
+        .withMessage('Timezone must be a valid IANA time zone, e.g. Europe/Berlin'),
+    body('preferences.theme')
+        .optional()
+        .isIn(['system', 'light', 'dark'])
+        .withMessage('Theme must be one of: system, light, dark'),
+    body('preferences.weekStart')
+        .optional()
+        .isIn(['monday', 'sunday'])
+        .withMessage('Week start must be monday or sunday')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { username, email, timezone, preferences } = req.body;
+        const user = req.user;
+
+        const taken = [];
+        if (username !== undefined && username !== user.username) taken.push({ username });
+        if (email !== undefined && email !== user.email) taken.push({ email });
+        if (taken.length) {
+            const existingUser = await User.findOne({ _id: { $ne: user._id }, $or: taken });
+            if (existingUser) {
+                return res.status(400).json({
+                    message: 'User with this email or username already exists',
+                    error: 'USER_EXISTS'
+                });
+            }
+        }
+
+        if (username !== undefined) user.username = username;
+        if (timezone !== undefined) user.timezone = timezone;
+        if (preferences && preferences.theme !== undefined) user.preferences.theme = preferences.theme;
+        if (preferences && preferences.weekStart !== undefined) user.preferences.weekStart = preferences.weekStart;
+
+        // A new address only replaces the current one once it has been verified;
+        // sending the current address again cancels a pending change
+        let emailChanged = false;
+        if (email !== undefined) {
+            if (email === user.email) {
+                user.pendingEmail = undefined;
+            } else if (email !== user.pendingEmail) {
+                user.pendingEmail = email;
+                emailChanged = true;
+            }
+        }
+
+        await user.save();
+
+        if (emailChanged) {
+            try {
+                await sendVerificationEmail(user);
+            } catch (mailError) {
+                console.error('Verification email error:', mailError);
+            }
+        }
+
+        res.json({
+            message: 'Profile updated successfully',
+            user: user.toJSON()
+        });
+    } catch (error) {
+        console.error('Update profile error:', error);
+        if (error.code === 11000) {
+            return res.status(400).json({
+                message: 'User with this email or username already exists',
+                error: 'DUPLICATE_USER'
+            });
+        }
+        res.status(500).json({
+            message: 'Server error',
+            error: 'UPDATE_PROFILE_ERROR'
+        });
+    }
+});
+
+// @route   GET /api/auth/account/export
+// @desc    Download all of the user's data (profile, tasks, projects, tags, notifications,
+//          webhooks, sessions and activity) as a JSON file
+// @access  Private
+router.get('/account/export', auth, async (req, res) => {
+    try {
+        const data = await exportUserData(req.user);
+
+        res.attachment(`account-export-${new Date().toISOString().slice(0, 10)}.json`);
+        res.json(data);
+    } catch (error) {
+        console.error('Export account error:', error);
+        res.status(500).json({
+            message: 'Server error',
+            error: 'EXPORT_ACCOUNT_ERROR'
+        });
+    }
+});
+
+// @route   DELETE /api/auth/account
+// @desc    Permanently delete the account and its data. Requires the password.
+// @access  Private
+router.delete('/account', auth, authAccountLimiter, [
+    body('password')
+        .notEmpty()
+        .withMessage('Password is required')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const isPasswordValid = await req.user.comparePassword(req.body.password);
+        if (!isPasswordValid) {
+            return res.status(400).json({
+                message: 'Password is incorrect',
+                error: 'INVALID_PASSWORD'
+            });
+        }
+
+        const blockingProjects = await soleOwnedSharedProjects(req.user._id);
+        if (blockingProjects.length) {
+            return res.status(400).json({
+                message: 'Make another member an owner of, or delete, the shared projects you own before deleting your account',
+                error: 'LAST_OWNER',
+                projects: blockingProjects.map(project => ({ _id: project._id, name: project.name }))
+            });
+        }
+
+        const { deletedTasks, deletedProjects } = await deleteUserData(req.user);
+
+        res.json({
+            message: 'Account deleted successfully',
+            deletedTasks,
+            deletedProjects
+        });
+    } catch (error) {
+        console.error('Delete account error:', error);
+        res.status(500).json({
+            message: 'Server error',
+            error: 'DELETE_ACCOUNT_ERROR'
+        });
+    }
+});
+
 module.exports = router; 
\ No newline at end of file
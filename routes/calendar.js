@@ -0,0 +1,150 @@
+const express = require('express');
+const crypto = require('crypto');
+const { query, validationResult } = require('express-validator');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const { hashToken } = require('../utils/tokens');
+const { STATUSES, toList } = require('../utils/taskFilters');
+const { resolveTaskScope } = require('../utils/taskAccess');
+const { buildCalendar } = require('../utils/ical');
+
+const router = express.Router();
+
+// Open tasks are in the feed unless a status filter is given
+const DEFAULT_FEED_STATUSES = ['Pending', 'In Progress'];
+
+const feedUrls = (req, token) => {
+    const url = `${req.protocol}://${req.get('host')}${req.baseUrl}/${token}.ics`;
+    return {
+        url,
+        webcalUrl: url.replace(/^https?:/, 'webcal:')
+    };
+};
+
+const feedStatus = (user) => {
+    const feed = user.calendarFeed || {};
+    return {
+        enabled: Boolean(feed.tokenHash),
+        createdAt: feed.createdAt || null,
+        lastAccessedAt: feed.lastAccessedAt || null
+    };
+};
+
+// @route   GET /api/calendar/feed
+// @desc    Get whether the authenticated user's calendar feed is enabled. The feed URL
+//          itself is only shown when it is generated.
+// @access  Private
+router.get('/feed', auth, async (req, res) => {
+    res.json({ feed: feedStatus(req.user) });
+});
+
+// @route   POST /api/calendar/feed
+// @desc    Generate the calendar feed URL, replacing (and invalidating) any previous one
+// @access  Private
+router.post('/feed', auth, async (req, res) => {
+    try {
+        const token = crypto.randomBytes(32).toString('base64url');
+        req.user.calendarFeed = {
+            tokenHash: hashToken(token),
+            createdAt: new Date(),
+            lastAccessedAt: null
+        };
+        await req.user.save();
+
+        res.status(201).json({
+            message: 'Calendar feed URL generated',
+            feed: {
+                ...feedStatus(req.user),
+                ...feedUrls(req, token)
+            }
+        });
+    } catch (error) {
+        console.error('Generate calendar feed error:', error);
+        res.status(500).json({
+            message: 'Server error',
+            error: 'GENERATE_CALENDAR_FEED_ERROR'
+        });
+    }
+});
+
+// @route   DELETE /api/calendar/feed
+// @desc    Revoke the calendar feed URL
+// @access  Private
+router.delete('/feed', auth, async (req, res) => {
+    try {
+        req.user.calendarFeed = undefined;
+        await req.user.save();
+
+        res.json({
+            message: 'Calendar feed revoked'
+        });
+    } catch (error) {
+        console.error('Revoke calendar feed error:', error);
+        res.status(500).json({
+            message: 'Server error',
+            error: 'REVOKE_CALENDAR_FEED_ERROR'
+        });
+    }
+});
+
+// @route   GET /api/calendar/:token.ics
+// @desc    iCalendar feed of the user's tasks by due date, for calendar subscriptions.
+//          The secret token in the URL replaces the Authorization header.
+// @access  Public (secret URL)
+router.get('/:token.ics', [
+    query('status')
+        .optional()
+        .customSanitizer(toList)
+        .custom(list => list.length >= 1 && list.every(s => STATUSES.includes(s)))
+        .withMessage('Status must be one or more of: Pending, In Progress, Completed'),
+    query('type')
+        .optional()
+        .isIn(['event', 'todo'])
+        .withMessage('Type must be event or todo')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const user = await User.findOne({ 'calendarFeed.tokenHash': hashToken(req.params.token) });
+
+        // Feeds of disabled accounts stop working like revoked ones
+        if (!user || user.disabledAt) {
+            return res.status(404).json({
+                message: 'Calendar feed not found',
+                error: 'CALENDAR_FEED_NOT_FOUND'
+            });
+        }
+
+        const scope = await resolveTaskScope(user._id);
+        const tasks = await Task.find({
+            ...scope,
+            status: { $in: req.query.status || DEFAULT_FEED_STATUSES },
+            dueDate: { $ne: null }
+        }).sort({ dueDate: 1 });
+
+        await User.updateOne({ _id: user._id }, { 'calendarFeed.lastAccessedAt': new Date() });
+
+        res.type('text/calendar; charset=utf-8');
+        res.set('Cache-Control', 'private, max-age=300');
+        res.send(buildCalendar(tasks, {
+            name: `${user.username}'s tasks`,
+            component: req.query.type === 'todo' ? 'VTODO' : 'VEVENT'
+        }));
+    } catch (error) {
+        console.error('Calendar feed error:', error);
+        res.status(500).json({
+            message: 'Server error',
+            error: 'CALENDAR_FEED_ERROR'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,264 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Notification = require('../models/Notification');
+const auth = require('../middleware/auth');
+const { paginate, MAX_LIMIT } = require('../utils/pagination');
+const { assertPublicUrl } = require('../utils/outboundUrls');
+
+const router = express.Router();
+
+// Apply auth middleware to all routes
+router.use(auth);
+
+const MAX_REMINDER_OFFSET = 7 * 24 * 60;
+
+// @route   GET /api/notifications
+// @desc    Get notifications of the authenticated user, newest first
+// @access  Private
+router.get('/', [
+    query('unread')
+        .optional()
+        .isBoolean()
+        .withMessage('Unread must be true or false')
+        .toBoolean(),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: MAX_LIMIT })
+        .withMessage(`Limit must be between 1 and ${MAX_LIMIT}`),
+    query('cursor')
+        .optional()
+        .isString()
+        .notEmpty()
+        .withMessage('Cursor must be a non-empty string')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { unread, limit, cursor } = req.query;
+        const filter = { user: req.user._id, dismissedAt: null };
+        if (unread === true) filter.readAt = null;
+        if (unread === false) filter.readAt = { $ne: null };
+
+        const [{ items: notifications, pagination }, unreadCount] = await Promise.all([
+            paginate(Notification, filter, {
+                sortBy: 'createdAt',
+                direction: -1,
+                limit,
+                cursor,
+                populate: { path: 'task', select: 'title status dueDate' }
+            }),
+            Notification.countDocuments({ user: req.user._id, dismissedAt: null, readAt: null })
+        ]);
+
+        res.json({
+            notifications,
+            unreadCount,
+            pagination
+        });
+    } catch (error) {
+        console.error('Get notifications error:', error);
+        if (error.code === 'INVALID_CURSOR') {
+            return res.status(400).json({
+                message: 'Invalid pagination cursor',
+                error: 'INVALID_CURSOR'
+            });
+        }
+        res.status(500).json({
+            message: 'Server error',
+            error: 'GET_NOTIFICATIONS_ERROR'
+        });
+    }
+});
+
+// @route   GET /api/notifications/settings
+// @desc    Get reminder settings of the authenticated user
+// @access  Private
+router.get('/settings', async (req, res) => {
+    res.json({ settings: req.user.reminderSettings });
+});
+
+// @route   PUT /api/notifications/settings
+// @desc    Update reminder settings of the authenticated user
+// @access  Private
+router.put('/settings', [
+    body('enabled')
+        .optional()
+        .isBoolean()
+        .withMessage('Enabled must be a boolean'),
+    body('overdue')
+        .optional()
+        .isBoolean()
+        .withMessage('Overdue must be a boolean'),
+    body('offsets')
+        .optional()
+        .isArray({ max: 5 })
+        .withMessage('Offsets must be an array of at most 5 values'),
+    body('offsets.*')
+        .isInt({ min: 1, max: MAX_REMINDER_OFFSET })
+        .withMessage(`Each offset must be a number of minutes between 1 and ${MAX_REMINDER_OFFSET}`)
+        .toInt(),
+    body('channels')
+        .optional()
+        .isArray()
+        .withMessage('Channels must be an array'),
+    body('channels.*')
+        .isIn(['email', 'webhook'])
+        .withMessage('Each channel must be one of: email, webhook'),
+    body('webhookUrl')
+        .optional({ values: 'null' })
+        .isURL({ protocols: ['http', 'https'], require_protocol: true })
+        .withMessage('Webhook URL must be a valid http(s) URL')
+        .bail()
+        .custom(value => assertPublicUrl(value))
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const user = req.user;
+        const settings = user.reminderSettings;
+        const { enabled, overdue, offsets, channels, webhookUrl } = req.body;
+
+        if (enabled !== undefined) settings.enabled = enabled;
+        if (overdue !== undefined) settings.overdue = overdue;
+        if (offsets !== undefined) settings.offsets = [...new Set(offsets)].sort((a, b) => b - a);
+        if (channels !== undefined) settings.channels = [...new Set(channels)];
+        if (webhookUrl !== undefined) settings.webhookUrl = webhookUrl || undefined;
+
+        if (settings.channels.includes('webhook') && !settings.webhookUrl) {
+            return res.status(400).json({
+                message: 'A webhook URL is required to use the webhook channel',
+                error: 'WEBHOOK_URL_REQUIRED'
+            });
+        }
+
+        await user.save();
+
+        res.json({
+            message: 'Reminder settings updated successfully',
+            settings: user.reminderSettings
+        });
+    } catch (error) {
+        console.error('Update reminder settings error:', error);
+        res.status(500).json({
+            message: 'Server error',
+            error: 'UPDATE_REMINDER_SETTINGS_ERROR'
+        });
+    }
+});
+
+// @route   POST /api/notifications/read-all
+// @desc    Mark all notifications of the authenticated user as read
+// @access  Private
+router.post('/read-all', async (req, res) => {
+    try {
+        const result = await Notification.updateMany(
+            { user: req.user._id, dismissedAt: null, readAt: null },
+            { $set: { readAt: new Date() } }
+        );
+
+        res.json({
+            message: 'All notifications marked as read',
+            updated: result.modifiedCount
+        });
+    } catch (error) {
+        console.error('Mark all notifications read error:', error);
+        res.status(500).json({
+            message: 'Server error',
+            error: 'MARK_NOTIFICATIONS_READ_ERROR'
+        });
+    }
+});
+
+// @route   PATCH /api/notifications/:id/read
+// @desc    Mark a notification as read
+// @access  Private
+router.patch('/:id/read', async (req, res) => {
+    try {
+        const notification = await Notification.findOne({
+            _id: req.params.id,
+            user: req.user._id,
+            dismissedAt: null
+        });
+
+        if (!notification) {
+            return res.status(404).json({
+                message: 'Notification not found',
+                error: 'NOTIFICATION_NOT_FOUND'
+            });
+        }
+
+        if (!notification.readAt) {
+            notification.readAt = new Date();
+            await notification.save();
+        }
+
+        res.json({
+            message: 'Notification marked as read',
+            notification
+        });
+    } catch (error) {
+        console.error('Mark notification read error:', error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({
+                message: 'Invalid notification ID',
+                error: 'INVALID_NOTIFICATION_ID'
+            });
+        }
+        res.status(500).json({
+            message: 'Server error',
+            error: 'MARK_NOTIFICATION_READ_ERROR'
+        });
+    }
+});
+
+// @route   DELETE /api/notifications/:id
+// @desc    Delete (dismiss) a notification. It is hidden rather than removed so the same
+//          reminder isn't created again.
+// @access  Private
+router.delete('/:id', async (req, res) => {
+    try {
+        const notification = await Notification.findOneAndUpdate(
+            { _id: req.params.id, user: req.user._id, dismissedAt: null },
+            { $set: { dismissedAt: new Date() } }
+        );
+
+        if (!notification) {
+            return res.status(404).json({
+                message: 'Notification not found',
+                error: 'NOTIFICATION_NOT_FOUND'
+            });
+        }
+
+        res.json({
+            message: 'Notification deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete notification error:', error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({
+                message: 'Invalid notification ID',
+                error: 'INVALID_NOTIFICATION_ID'
+            });
+        }
+        res.status(500).json({
+            message: 'Server error',
+            error: 'DELETE_NOTIFICATION_ERROR'
+        });
+    }
+});
+
+module.exports = router;
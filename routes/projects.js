@@ -0,0 +1,638 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+const TaskSeries = require('../models/TaskSeries');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const { recordActivity } = require('../utils/activity');
+const { publishTaskEvent } = require('../utils/taskEvents');
+
+const router = express.Router();
+
+// Apply auth middleware to all routes
+router.use(auth);
+
+// Load a project the user belongs to, or null when it doesn't exist or they aren't a member
+const findProjectForUser = async (projectId, userId) => {
+    const project = await Project.findById(projectId);
+    if (!project || !project.getRole(userId)) return null;
+    return project;
+};
+
+// @route   GET /api/projects
+// @desc    Get all projects the authenticated user is a member of
+// @access  Private
+router.get('/', async (req, res) => {
+    try {
+        const projects = await Project.find({ 'members.user': req.user._id })
+            .sort({ createdAt: -1 })
+            .select('-invites')
+            .populate('members.user', 'username email');
+
+        res.json({ projects });
+    } catch (error) {
+        console.error('Get projects error:', error);
+        res.status(500).json({
+            message: 'Server error',
+            error: 'GET_PROJECTS_ERROR'
+        });
+    }
+});
+
+// @route   POST /api/projects
+// @desc    Create a new project owned by the authenticated user
+// @access  Private
+router.post('/', [
+    body('name')
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Name is required and must be between 1 and 100 characters')
+        .trim(),
+    body('description')
+        .optional()
+        .isLength({ max: 500 })
+        .withMessage('Description cannot exceed 500 characters')
+        .trim()
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { name, description } = req.body;
+
+        const project = new Project({
+            name,
+            description,
+            members: [{ user: req.user._id, role: 'owner' }]
+        });
+
+        await project.save();
+        await project.populate('members.user', 'username email');
+
+        res.status(201).json({
+            message: 'Project created successfully',
+            project
+        });
+    } catch (error) {
+        console.error('Create project error:', error);
+        res.status(500).json({
+            message: 'Server error',
+            error: 'CREATE_PROJECT_ERROR'
+        });
+    }
+});
+
+// @route   GET /api/projects/invites
+// @desc    Get pending invites addressed to the authenticated user's email. Only a verified
+//          email receives invites, so nobody can claim invites meant for someone else.
+// @access  Private
+router.get('/invites', async (req, res) => {
+    try {
+        if (!req.user.emailVerified) {
+            return res.json({ invites: [] });
+        }
+
+        const projects = await Project.find({ 'invites.email': req.user.email })
+            .select('name description invites')
+            .populate('invites.invitedBy', 'username email');
+
+        const invites = projects.map(project => {
+            const invite = project.invites.find(i => i.email === req.user.email);
+            return {
+                _id: invite._id,
+                role: invite.role,
+                invitedBy: invite.invitedBy,
+                createdAt: invite.createdAt,
+                project: {
+                    _id: project._id,
+                    name: project.name,
+                    description: project.description
+                }
+            };
+        });
+
+        res.json({ invites });
+    } catch (error) {
+        console.error('Get invites error:', error);
+        res.status(500).json({
+            message: 'Server error',
+            error: 'GET_INVITES_ERROR'
+        });
+    }
+});
+
+// @route   GET /api/projects/:id
+// @desc    Get a specific project
+// @access  Private (member)
+router.get('/:id', async (req, res) => {
+    try {
+        const project = await findProjectForUser(req.params.id, req.user._id);
+
+        if (!project) {
+            return res.status(404).json({
+                message: 'Project not found',
+                error: 'PROJECT_NOT_FOUND'
+            });
+        }
+
+        // Only owners may see outstanding invites
+        if (project.getRole(req.user._id) !== 'owner') {
+            project.invites = undefined;
+        }
+
+        await project.populate('members.user', 'username email');
+
+        res.json({ project });
+    } catch (error) {
+        console.error('Get project error:', error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({
+                message: 'Invalid project ID',
+                error: 'INVALID_PROJECT_ID'
+            });
+        }
+        res.status(500).json({
+            message: 'Server error',
+            error: 'GET_PROJECT_ERROR'
+        });
+    }
+});
+
+// @route   PUT /api/projects/:id
+// @desc    Update a project
+// @access  Private (owner)
+router.put('/:id', [
+    body('name')
+        .optional()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Name must be between 1 and 100 characters')
+        .trim(),
+    body('description')
+        .optional()
+        .isLength({ max: 500 })
+        .withMessage('Description cannot exceed 500 characters')
+        .trim()
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const project = await findProjectForUser(req.params.id, req.user._id);
+
+        if (!project) {
+            return res.status(404).json({
+                message: 'Project not found',
+                error: 'PROJECT_NOT_FOUND'
+            });
+        }
+
+        if (project.getRole(req.user._id) !== 'owner') {
+            return res.status(403).json({
+                message: 'Only project owners can update the project',
+                error: 'INSUFFICIENT_ROLE'
+            });
+        }
+
+        const { name, description } = req.body;
+        if (name !== undefined) project.name = name;
+        if (description !== undefined) project.description = description;
+
+        await project.save();
+        await project.populate('members.user', 'username email');
+
+        res.json({
+            message: 'Project updated successfully',
+            project
+        });
+    } catch (error) {
+        console.error('Update project error:', error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({
+                message: 'Invalid project ID',
+                error: 'INVALID_PROJECT_ID'
+            });
+        }
+        res.status(500).json({
+            message: 'Server error',
+            error: 'UPDATE_PROJECT_ERROR'
+        });
+    }
+});
+
+// @route   DELETE /api/projects/:id
+// @desc    Delete a project and all of its tasks
+// @access  Private (owner)
+router.delete('/:id', async (req, res) => {
+    try {
+        const project = await findProjectForUser(req.params.id, req.user._id);
+
+        if (!project) {
+            return res.status(404).json({
+                message: 'Project not found',
+                error: 'PROJECT_NOT_FOUND'
+            });
+        }
+
+        if (project.getRole(req.user._id) !== 'owner') {
+            return res.status(403).json({
+                message: 'Only project owners can delete the project',
+                error: 'INSUFFICIENT_ROLE'
+            });
+        }
+
+        // Recurring series of the deleted tasks go too, unless an occurrence outside the project uses them
+        const tasks = await Task.find({ project: project._id });
+        const seriesIds = tasks.filter(task => task.series).map(task => task.series);
+        const { deletedCount } = await Task.deleteMany({ project: project._id });
+        const seriesInUse = await Task.distinct('series', { series: { $in: seriesIds } });
+        await TaskSeries.deleteMany({
+            $or: [{ project: project._id }, { _id: { $in: seriesIds } }],
+            _id: { $nin: seriesInUse }
+        });
+
+        // Log and announce each task like a permanent delete, while the project's members
+        // can still be looked up as event recipients
+        for (const task of tasks) {
+            await recordActivity(task, req.user._id, 'purged', { meta: { reason: 'project_deleted' } });
+            await publishTaskEvent('task.deleted', task, req.user._id, { permanent: true });
+        }
+        await project.deleteOne();
+
+        res.json({
+            message: 'Project deleted successfully',
+            deletedProject: project,
+            deletedTasks: deletedCount
+        });
+    } catch (error) {
+        console.error('Delete project error:', error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({
+                message: 'Invalid project ID',
+                error: 'INVALID_PROJECT_ID'
+            });
+        }
+        res.status(500).json({
+            message: 'Server error',
+            error: 'DELETE_PROJECT_ERROR'
+        });
+    }
+});
+
+// @route   POST /api/projects/:id/invites
+// @desc    Invite a user to the project by email
+// @access  Private (owner)
+router.post('/:id/invites', [
+    body('email')
+        .isEmail()
+        .withMessage('Please enter a valid email')
+        .normalizeEmail(),
+    body('role')
+        .optional()
+        .isIn(['editor', 'viewer'])
+        .withMessage('Role must be one of: editor, viewer')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const project = await findProjectForUser(req.params.id, req.user._id);
+
+        if (!project) {
+            return res.status(404).json({
+                message: 'Project not found',
+                error: 'PROJECT_NOT_FOUND'
+            });
+        }
+
+        if (project.getRole(req.user._id) !== 'owner') {
+            return res.status(403).json({
+                message: 'Only project owners can invite members',
+                error: 'INSUFFICIENT_ROLE'
+            });
+        }
+
+        const { email, role = 'viewer' } = req.body;
+
+        const invitee = await User.findOne({ email });
+        if (invitee && project.getRole(invitee._id)) {
+            return res.status(400).json({
+                message: 'User is already a member of this project',
+                error: 'ALREADY_MEMBER'
+            });
+        }
+
+        if (project.invites.some(i => i.email === email)) {
+            return res.status(400).json({
+                message: 'User has already been invited to this project',
+                error: 'ALREADY_INVITED'
+            });
+        }
+
+        project.invites.push({ email, role, invitedBy: req.user._id });
+        await project.save();
+
+        res.status(201).json({
+            message: 'Invite sent successfully',
+            invite: project.invites[project.invites.length - 1]
+        });
+    } catch (error) {
+        console.error('Invite member error:', error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({
+                message: 'Invalid project ID',
+                error: 'INVALID_PROJECT_ID'
+            });
+        }
+        res.status(500).json({
+            message: 'Server error',
+            error: 'INVITE_MEMBER_ERROR'
+        });
+    }
+});
+
+// @route   POST /api/projects/:id/invites/:inviteId/accept
+// @desc    Accept an invite addressed to the authenticated user
+// @access  Private (invitee)
+router.post('/:id/invites/:inviteId/accept', [
+    param('inviteId')
+        .isMongoId()
+        .withMessage('Invalid invite ID')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const project = await Project.findById(req.params.id);
+        const invite = project && project.invites.id(req.params.inviteId);
+
+        if (!invite || invite.email !== req.user.email) {
+            return res.status(404).json({
+                message: 'Invite not found',
+                error: 'INVITE_NOT_FOUND'
+            });
+        }
+
+        if (!req.user.emailVerified) {
+            return res.status(403).json({
+                message: 'Verify your email address to accept invites',
+                error: 'EMAIL_NOT_VERIFIED'
+            });
+        }
+
+        if (!project.getRole(req.user._id)) {
+            project.members.push({ user: req.user._id, role: invite.role });
+        }
+        invite.deleteOne();
+
+        await project.save();
+        await project.populate('members.user', 'username email');
+        project.invites = undefined;
+
+        res.json({
+            message: 'Invite accepted successfully',
+            project
+        });
+    } catch (error) {
+        console.error('Accept invite error:', error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({
+                message: 'Invalid project ID',
+                error: 'INVALID_PROJECT_ID'
+            });
+        }
+        res.status(500).json({
+            message: 'Server error',
+            error: 'ACCEPT_INVITE_ERROR'
+        });
+    }
+});
+
+// @route   DELETE /api/projects/:id/invites/:inviteId
+// @desc    Revoke an invite (owner) or decline it (invitee)
+// @access  Private
+router.delete('/:id/invites/:inviteId', [
+    param('inviteId')
+        .isMongoId()
+        .withMessage('Invalid invite ID')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const project = await Project.findById(req.params.id);
+        const invite = project && project.invites.id(req.params.inviteId);
+        const isOwner = project && project.getRole(req.user._id) === 'owner';
+
+        const isInvitee = invite && req.user.emailVerified && invite.email === req.user.email;
+
+        if (!invite || (!isOwner && !isInvitee)) {
+            return res.status(404).json({
+                message: 'Invite not found',
+                error: 'INVITE_NOT_FOUND'
+            });
+        }
+
+        invite.deleteOne();
+        await project.save();
+
+        res.json({
+            message: 'Invite removed successfully'
+        });
+    } catch (error) {
+        console.error('Remove invite error:', error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({
+                message: 'Invalid project ID',
+                error: 'INVALID_PROJECT_ID'
+            });
+        }
+        res.status(500).json({
+            message: 'Server error',
+            error: 'REMOVE_INVITE_ERROR'
+        });
+    }
+});
+
+// @route   PATCH /api/projects/:id/members/:userId
+// @desc    Change a member's role
+// @access  Private (owner)
+router.patch('/:id/members/:userId', [
+    param('userId')
+        .isMongoId()
+        .withMessage('Invalid user ID'),
+    body('role')
+        .isIn(Project.ROLES)
+        .withMessage('Role must be one of: owner, editor, viewer')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const project = await findProjectForUser(req.params.id, req.user._id);
+
+        if (!project) {
+            return res.status(404).json({
+                message: 'Project not found',
+                error: 'PROJECT_NOT_FOUND'
+            });
+        }
+
+        if (project.getRole(req.user._id) !== 'owner') {
+            return res.status(403).json({
+                message: 'Only project owners can change member roles',
+                error: 'INSUFFICIENT_ROLE'
+            });
+        }
+
+        const member = project.members.find(m => m.user.toString() === req.params.userId);
+        if (!member) {
+            return res.status(404).json({
+                message: 'Member not found',
+                error: 'MEMBER_NOT_FOUND'
+            });
+        }
+
+        if (member.role === 'owner' && req.body.role !== 'owner' && project.ownerCount() === 1) {
+            return res.status(400).json({
+                message: 'A project must keep at least one owner',
+                error: 'LAST_OWNER'
+            });
+        }
+
+        member.role = req.body.role;
+        await project.save();
+        await project.populate('members.user', 'username email');
+
+        res.json({
+            message: 'Member role updated successfully',
+            project
+        });
+    } catch (error) {
+        console.error('Update member error:', error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({
+                message: 'Invalid project ID',
+                error: 'INVALID_PROJECT_ID'
+            });
+        }
+        res.status(500).json({
+            message: 'Server error',
+            error: 'UPDATE_MEMBER_ERROR'
+        });
+    }
+});
+
+// @route   DELETE /api/projects/:id/members/:userId
+// @desc    Remove a member (owner) or leave the project (self)
+// @access  Private
+router.delete('/:id/members/:userId', [
+    param('userId')
+        .isMongoId()
+        .withMessage('Invalid user ID')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const project = await findProjectForUser(req.params.id, req.user._id);
+
+        if (!project) {
+            return res.status(404).json({
+                message: 'Project not found',
+                error: 'PROJECT_NOT_FOUND'
+            });
+        }
+
+        const isSelf = req.user._id.toString() === req.params.userId;
+        if (!isSelf && project.getRole(req.user._id) !== 'owner') {
+            return res.status(403).json({
+                message: 'Only project owners can remove members',
+                error: 'INSUFFICIENT_ROLE'
+            });
+        }
+
+        const member = project.members.find(m => m.user.toString() === req.params.userId);
+        if (!member) {
+            return res.status(404).json({
+                message: 'Member not found',
+                error: 'MEMBER_NOT_FOUND'
+            });
+        }
+
+        if (member.role === 'owner' && project.ownerCount() === 1) {
+            return res.status(400).json({
+                message: 'A project must keep at least one owner',
+                error: 'LAST_OWNER'
+            });
+        }
+
+        project.members = project.members.filter(m => m !== member);
+        await project.save();
+
+        // Former members can no longer work on the project's tasks
+        await Task.updateMany(
+            { project: project._id, assignees: member.user },
+            { $pull: { assignees: member.user } }
+        );
+
+        res.json({
+            message: isSelf ? 'Left project successfully' : 'Member removed successfully'
+        });
+    } catch (error) {
+        console.error('Remove member error:', error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({
+                message: 'Invalid project ID',
+                error: 'INVALID_PROJECT_ID'
+            });
+        }
+        res.status(500).json({
+            message: 'Server error',
+            error: 'REMOVE_MEMBER_ERROR'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,331 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const Task = require('../models/Task');
+const { findTaskWithRole, roleAtLeast, TASK_POPULATE } = require('../utils/taskAccess');
+const { diffTask, recordActivity } = require('../utils/activity');
+const { publishTaskEvent } = require('../utils/taskEvents');
+const { generateNextOccurrence } = require('../utils/recurrence');
+const { sendVersionConflict } = require('../utils/taskVersions');
+
+// Mounted under /api/tasks/:id/subtasks; auth is applied by the tasks router
+const router = express.Router({ mergeParams: true });
+
+// Subtask changes can roll up into the parent's status; report that alongside the subtask change
+const diffParentStatus = (task) => {
+    return diffTask(task).filter(change => change.field === 'status');
+};
+
+// A recurring occurrence completed by its subtasks schedules the next one, like a direct completion
+const nextOccurrenceAfterRollup = async (task, actorId, statusChanges) => {
+    if (!statusChanges.some(change => change.to === 'Completed')) return null;
+    return await generateNextOccurrence(task, actorId);
+};
+
+// Broadcast a subtask change as an update of its task, plus a status change when it rolled up
+// and the occurrence it created
+const publishSubtaskChange = async (task, actorId, statusChanges, nextOccurrence) => {
+    await publishTaskEvent('task.updated', task, actorId);
+    if (statusChanges.length) {
+        await publishTaskEvent('task.status_changed', task, actorId, { previousStatus: statusChanges[0].from });
+    }
+    if (nextOccurrence) {
+        await nextOccurrence.populate(TASK_POPULATE);
+        await publishTaskEvent('task.created', nextOccurrence, actorId);
+    }
+};
+
+// @route   GET /api/tasks/:id/subtasks
+// @desc    Get the subtasks of a task
+// @access  Private
+router.get('/', async (req, res) => {
+    try {
+        const { task } = await findTaskWithRole(req.params.id, req.user._id);
+
+        if (!task) {
+            return res.status(404).json({
+                message: 'Task not found',
+                error: 'TASK_NOT_FOUND'
+            });
+        }
+
+        res.json({
+            subtasks: task.subtasks,
+            progress: task.progress
+        });
+    } catch (error) {
+        console.error('Get subtasks error:', error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({
+                message: 'Invalid task ID',
+                error: 'INVALID_TASK_ID'
+            });
+        }
+        res.status(500).json({
+            message: 'Server error',
+            error: 'GET_SUBTASKS_ERROR'
+        });
+    }
+});
+
+// @route   POST /api/tasks/:id/subtasks
+// @desc    Add a subtask to a task
+// @access  Private
+router.post('/', [
+    body('title')
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Title is required and must be between 1 and 100 characters')
+        .trim(),
+    body('status')
+        .optional()
+        .isIn(['Pending', 'In Progress', 'Completed'])
+        .withMessage('Status must be one of: Pending, In Progress, Completed')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { task, role } = await findTaskWithRole(req.params.id, req.user._id);
+
+        if (!task) {
+            return res.status(404).json({
+                message: 'Task not found',
+                error: 'TASK_NOT_FOUND'
+            });
+        }
+
+        if (!roleAtLeast(role, 'editor')) {
+            return res.status(403).json({
+                message: 'You do not have permission to modify this task',
+                error: 'INSUFFICIENT_ROLE'
+            });
+        }
+
+        if (task.subtasks.length >= Task.MAX_SUBTASKS) {
+            return res.status(400).json({
+                message: `A task cannot have more than ${Task.MAX_SUBTASKS} subtasks`,
+                error: 'TOO_MANY_SUBTASKS'
+            });
+        }
+
+        const { title, status = 'Pending' } = req.body;
+        task.subtasks.push({ title, status });
+        const subtask = task.subtasks[task.subtasks.length - 1];
+
+        await task.save();
+        const statusChanges = diffParentStatus(task);
+        await recordActivity(task, req.user._id, 'subtask_added', {
+            changes: statusChanges,
+            meta: { subtaskId: subtask._id, title }
+        });
+        const nextOccurrence = await nextOccurrenceAfterRollup(task, req.user._id, statusChanges);
+        await task.populate(TASK_POPULATE);
+        await publishSubtaskChange(task, req.user._id, statusChanges, nextOccurrence);
+
+        res.status(201).json({
+            message: 'Subtask created successfully',
+            subtask,
+            task,
+            ...(nextOccurrence && { nextOccurrence })
+        });
+    } catch (error) {
+        console.error('Create subtask error:', error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({
+                message: 'Invalid task ID',
+                error: 'INVALID_TASK_ID'
+            });
+        }
+        if (error.name === 'VersionError') {
+            return await sendVersionConflict(res, req.params.id);
+        }
+        res.status(500).json({
+            message: 'Server error',
+            error: 'CREATE_SUBTASK_ERROR'
+        });
+    }
+});
+
+// @route   PUT /api/tasks/:id/subtasks/:subtaskId
+// @desc    Update a subtask
+// @access  Private
+router.put('/:subtaskId', [
+    param('subtaskId')
+        .isMongoId()
+        .withMessage('Invalid subtask ID'),
+    body('title')
+        .optional()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Title must be between 1 and 100 characters')
+        .trim(),
+    body('status')
+        .optional()
+        .isIn(['Pending', 'In Progress', 'Completed'])
+        .withMessage('Status must be one of: Pending, In Progress, Completed')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { task, role } = await findTaskWithRole(req.params.id, req.user._id);
+
+        if (!task) {
+            return res.status(404).json({
+                message: 'Task not found',
+                error: 'TASK_NOT_FOUND'
+            });
+        }
+
+        if (!roleAtLeast(role, 'editor')) {
+            return res.status(403).json({
+                message: 'You do not have permission to modify this task',
+                error: 'INSUFFICIENT_ROLE'
+            });
+        }
+
+        const subtask = task.subtasks.id(req.params.subtaskId);
+        if (!subtask) {
+            return res.status(404).json({
+                message: 'Subtask not found',
+                error: 'SUBTASK_NOT_FOUND'
+            });
+        }
+
+        const { title, status } = req.body;
+        const changes = [];
+        if (title !== undefined && title !== subtask.title) {
+            changes.push({ field: 'subtask.title', from: subtask.title, to: title });
+            subtask.title = title;
+        }
+        if (status !== undefined && status !== subtask.status) {
+            changes.push({ field: 'subtask.status', from: subtask.status, to: status });
+            subtask.status = status;
+        }
+
+        await task.save();
+        const statusChanges = diffParentStatus(task);
+        if (changes.length) {
+            await recordActivity(task, req.user._id, 'subtask_updated', {
+                changes: [...changes, ...statusChanges],
+                meta: { subtaskId: subtask._id }
+            });
+        }
+        const nextOccurrence = await nextOccurrenceAfterRollup(task, req.user._id, statusChanges);
+        await task.populate(TASK_POPULATE);
+        if (changes.length) {
+            await publishSubtaskChange(task, req.user._id, statusChanges, nextOccurrence);
+        }
+
+        res.json({
+            message: 'Subtask updated successfully',
+            subtask,
+            task,
+            ...(nextOccurrence && { nextOccurrence })
+        });
+    } catch (error) {
+        console.error('Update subtask error:', error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({
+                message: 'Invalid task ID',
+                error: 'INVALID_TASK_ID'
+            });
+        }
+        if (error.name === 'VersionError') {
+            return await sendVersionConflict(res, req.params.id);
+        }
+        res.status(500).json({
+            message: 'Server error',
+            error: 'UPDATE_SUBTASK_ERROR'
+        });
+    }
+});
+
+// @route   DELETE /api/tasks/:id/subtasks/:subtaskId
+// @desc    Delete a subtask
+// @access  Private
+router.delete('/:subtaskId', [
+    param('subtaskId')
+        .isMongoId()
+        .withMessage('Invalid subtask ID')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { task, role } = await findTaskWithRole(req.params.id, req.user._id);
+
+        if (!task) {
+            return res.status(404).json({
+                message: 'Task not found',
+                error: 'TASK_NOT_FOUND'
+            });
+        }
+
+        if (!roleAtLeast(role, 'editor')) {
+            return res.status(403).json({
+                message: 'You do not have permission to modify this task',
+                error: 'INSUFFICIENT_ROLE'
+            });
+        }
+
+        const subtask = task.subtasks.id(req.params.subtaskId);
+        if (!subtask) {
+            return res.status(404).json({
+                message: 'Subtask not found',
+                error: 'SUBTASK_NOT_FOUND'
+            });
+        }
+
+        subtask.deleteOne();
+        await task.save();
+        const statusChanges = diffParentStatus(task);
+        await recordActivity(task, req.user._id, 'subtask_deleted', {
+            changes: statusChanges,
+            meta: { subtaskId: subtask._id, title: subtask.title }
+        });
+        const nextOccurrence = await nextOccurrenceAfterRollup(task, req.user._id, statusChanges);
+        await task.populate(TASK_POPULATE);
+        await publishSubtaskChange(task, req.user._id, statusChanges, nextOccurrence);
+
+        res.json({
+            message: 'Subtask deleted successfully',
+            deletedSubtask: subtask,
+            task,
+            ...(nextOccurrence && { nextOccurrence })
+        });
+    } catch (error) {
+        console.error('Delete subtask error:', error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({
+                message: 'Invalid task ID',
+                error: 'INVALID_TASK_ID'
+            });
+        }
+        if (error.name === 'VersionError') {
+            return await sendVersionConflict(res, req.params.id);
+        }
+        res.status(500).json({
+            message: 'Server error',
+            error: 'DELETE_SUBTASK_ERROR'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,136 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const { MUTATION_LIMIT, MUTATION_OPS, SyncError, getChanges, applyMutation } = require('../utils/sync');
+
+const router = express.Router();
+
+// @route   GET /api/sync
+// @desc    Get tasks changed and deleted since a sync token. Without a token, or when the
+//          token can no longer be resumed, returns a full sync (full=true).
+// @access  Private
+router.get('/', auth, [
+    query('since')
+        .optional()
+        .isString()
+        .withMessage('since must be a sync token'),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 500 })
+        .withMessage('Limit must be between 1 and 500')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const result = await getChanges(req.user._id, req.query.since || null, {
+            ...(req.query.limit && { limit: parseInt(req.query.limit, 10) })
+        });
+
+        res.json(result);
+    } catch (error) {
+        if (error instanceof SyncError) {
+            return res.status(400).json({
+                message: error.message,
+                error: error.code
+            });
+        }
+        console.error('Get sync changes error:', error);
+        res.status(500).json({
+            message: 'Server error',
+            error: 'GET_SYNC_ERROR'
+        });
+    }
+});
+
+// @route   POST /api/sync
+// @desc    Apply a batch of offline mutations in order. Each mutation has a client-generated
+//          mutationId and is applied at most once; results are reported per mutation.
+// @access  Private
+router.post('/', auth, [
+    body('mutations')
+        .isArray({ min: 1, max: MUTATION_LIMIT })
+        .withMessage(`mutations must be an array of 1 to ${MUTATION_LIMIT} items`),
+    body('mutations.*.mutationId')
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Each mutation needs a mutationId of at most 100 characters'),
+    body('mutations.*.op')
+        .isIn(MUTATION_OPS)
+        .withMessage(`op must be one of: ${MUTATION_OPS.join(', ')}`),
+    body('mutations.*.clientId')
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('clientId must be at most 100 characters'),
+    body('mutations.*.id')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid task ID'),
+    body('mutations.*.baseEtag')
+        .optional()
+        .isString()
+        .withMessage('baseEtag must be a string'),
+    body('mutations.*.data')
+        .optional()
+        .isObject()
+        .withMessage('data must be an object')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const mutationIds = req.body.mutations.map(mutation => mutation.mutationId);
+        if (new Set(mutationIds).size !== mutationIds.length) {
+            return res.status(400).json({
+                message: 'mutationId values must be unique within a batch',
+                error: 'DUPLICATE_MUTATION_ID'
+            });
+        }
+
+        const missingTarget = req.body.mutations.find(mutation => mutation.op !== 'create' && !mutation.id && !mutation.clientId);
+        if (missingTarget) {
+            return res.status(400).json({
+                message: `Mutation ${missingTarget.mutationId} needs an id or clientId`,
+                error: 'MUTATION_TARGET_REQUIRED'
+            });
+        }
+
+        // Mutations depend on each other (create then update), so they run in order
+        const results = [];
+        for (const mutation of req.body.mutations) {
+            results.push(await applyMutation(mutation, req.user._id));
+        }
+
+        const summary = results.reduce((counts, result) => {
+            counts[result.status] = (counts[result.status] || 0) + 1;
+            return counts;
+        }, { applied: 0, conflict: 0, rejected: 0, error: 0 });
+
+        res.json({
+            message: 'Sync mutations processed',
+            summary,
+            results
+        });
+    } catch (error) {
+        console.error('Apply sync mutations error:', error);
+        res.status(500).json({
+            message: 'Server error',
+            error: 'APPLY_SYNC_ERROR'
+        });
+    }
+});
+
+module.exports = router;
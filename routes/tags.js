@@ -0,0 +1,199 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Tag = require('../models/Tag');
+const Task = require('../models/Task');
+const auth = require('../middleware/auth');
+
+const router = express.Router();
+
+// Apply auth middleware to all routes
+router.use(auth);
+
+// @route   GET /api/tags
+// @desc    Get all tags of the authenticated user
+// @access  Private
+router.get('/', async (req, res) => {
+    try {
+        const tags = await Tag.find({ user: req.user._id }).sort({ name: 1 });
+
+        res.json({ tags });
+    } catch (error) {
+        console.error('Get tags error:', error);
+        res.status(500).json({
+            message: 'Server error',
+            error: 'GET_TAGS_ERROR'
+        });
+    }
+});
+
+// @route   POST /api/tags
+// @desc    Create a tag
+// @access  Private
+router.post('/', [
+    body('name')
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 30 })
+        .withMessage('Name is required and must be between 1 and 30 characters'),
+    body('color')
+        .optional()
+        .matches(/^#[0-9a-fA-F]{6}$/)
+        .withMessage('Color must be a hex color like #1a2b3c')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { name, color } = req.body;
+
+        const tag = new Tag({
+            user: req.user._id,
+            name,
+            color
+        });
+
+        await tag.save();
+
+        res.status(201).json({
+            message: 'Tag created successfully',
+            tag
+        });
+    } catch (error) {
+        console.error('Create tag error:', error);
+        if (error.code === 11000) {
+            return res.status(400).json({
+                message: 'A tag with this name already exists',
+                error: 'TAG_EXISTS'
+            });
+        }
+        res.status(500).json({
+            message: 'Server error',
+            error: 'CREATE_TAG_ERROR'
+        });
+    }
+});
+
+// @route   PUT /api/tags/:id
+// @desc    Rename or recolor a tag. Renaming also renames it on the user's own tasks.
+// @access  Private
+router.put('/:id', [
+    body('name')
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 30 })
+        .withMessage('Name must be between 1 and 30 characters'),
+    body('color')
+        .optional()
+        .matches(/^#[0-9a-fA-F]{6}$/)
+        .withMessage('Color must be a hex color like #1a2b3c')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const tag = await Tag.findOne({
+            _id: req.params.id,
+            user: req.user._id
+        });
+
+        if (!tag) {
+            return res.status(404).json({
+                message: 'Tag not found',
+                error: 'TAG_NOT_FOUND'
+            });
+        }
+
+        const { name, color } = req.body;
+        const previousName = tag.name;
+        if (name !== undefined) tag.name = name;
+        if (color !== undefined) tag.color = color;
+
+        await tag.save();
+
+        if (tag.name !== previousName) {
+            await Task.updateMany(
+                { user: req.user._id, tags: previousName },
+                { $set: { 'tags.$': tag.name } }
+            );
+        }
+
+        res.json({
+            message: 'Tag updated successfully',
+            tag
+        });
+    } catch (error) {
+        console.error('Update tag error:', error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({
+                message: 'Invalid tag ID',
+                error: 'INVALID_TAG_ID'
+            });
+        }
+        if (error.code === 11000) {
+            return res.status(400).json({
+                message: 'A tag with this name already exists',
+                error: 'TAG_EXISTS'
+            });
+        }
+        res.status(500).json({
+            message: 'Server error',
+            error: 'UPDATE_TAG_ERROR'
+        });
+    }
+});
+
+// @route   DELETE /api/tags/:id
+// @desc    Delete a tag and remove it from the user's own tasks
+// @access  Private
+router.delete('/:id', async (req, res) => {
+    try {
+        const tag = await Tag.findOneAndDelete({
+            _id: req.params.id,
+            user: req.user._id
+        });
+
+        if (!tag) {
+            return res.status(404).json({
+                message: 'Tag not found',
+                error: 'TAG_NOT_FOUND'
+            });
+        }
+
+        await Task.updateMany(
+            { user: req.user._id, tags: tag.name },
+            { $pull: { tags: tag.name } }
+        );
+
+        res.json({
+            message: 'Tag deleted successfully',
+            deletedTag: tag
+        });
+    } catch (error) {
+        console.error('Delete tag error:', error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({
+                message: 'Invalid tag ID',
+                error: 'INVALID_TAG_ID'
+            });
+        }
+        res.status(500).json({
+            message: 'Server error',
+            error: 'DELETE_TAG_ERROR'
+        });
+    }
+});
+
+module.exports = router;
@@ -1,29 +1,772 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const { body, validationResult, query } = require('express-validator');
 const Task = require('../models/Task');
+const Project = require('../models/Project');
+const Tag = require('../models/Tag');
+const TaskSeries = require('../models/TaskSeries');
+const TaskActivity = require('../models/TaskActivity');
+const TaskTombstone = require('../models/TaskTombstone');
+const User = require('../models/User');
 const auth = require('../middleware/auth');
+const { apiAccountLimiter } = require('../middleware/rateLimit');
+const { allowApiKeys, taskScope } = require('../middleware/apiKeys');
+const { paginate, MAX_LIMIT } = require('../utils/pagination');
+const { STATUSES, makeTaskFilterValidators, taskFilterValidators, buildTaskFilter } = require('../utils/taskFilters');
+const { resolveTaskScope, getTaskRole, findTaskWithRole, roleAtLeast, TASK_POPULATE } = require('../utils/taskAccess');
+const { recordActivity } = require('../utils/activity');
+const { TRASH_RETENTION_DAYS } = require('../utils/trash');
+const { BULK_LIMIT, BULK_OPERATIONS, runBulkOperation } = require('../utils/bulkTasks');
+const { getTaskStats } = require('../utils/taskStats');
+const { normalizeRecurrence, startSeries, generateNextOccurrence } = require('../utils/recurrence');
+const { publishTaskEvent, publishTaskEvents, eventsSince, subscribe } = require('../utils/taskEvents');
+const { EXPORT_FORMATS, IMPORT_LIMIT, exportTasks, parseImportRows } = require('../utils/taskTransfer');
+const { createTaskValidators, updateTaskValidators, validateTaskData } = require('../utils/taskValidators');
+const { checkProjectAccess, buildTask, saveNewTask } = require('../utils/taskCreation');
+const { setTaskEtag, sendVersionConflict } = require('../utils/taskVersions');
+const subtaskRoutes = require('./subtasks');
 
 const router = express.Router();
 
-// Apply auth middleware to all routes
+// Apply auth middleware to all routes, then the per-account rate limit.
+// API keys may be used here with the tasks:read / tasks:write scopes.
+router.use(allowApiKeys(taskScope));
 router.use(auth);
+router.use(apiAccountLimiter);
+
+// Subtask/checklist routes
+router.use('/:id/subtasks', subtaskRoutes);
+
+// Whether an If-Match / If-None-Match header value lists the task's current ETag
+const etagMatches = (header, task) => {
+    if (header.trim() === '*') return true;
+    const tags = header.split(',').map(tag => tag.trim().replace(/^W\//, '').replace(/^"(.*)"$/, '$1'));
+    return tags.includes(task.etag);
+};
+
+// If-Match: true when the client's copy of the task is out of date
+const isStaleWrite = (req, task) => {
+    const ifMatch = req.header('If-Match');
+    return Boolean(ifMatch) && !etagMatches(ifMatch, task);
+};
+
+const sendStaleWrite = async (res, task) => {
+    await task.populate(TASK_POPULATE);
+    setTaskEtag(res, task);
+    return res.status(412).json({
+        message: 'Task has changed since you loaded it',
+        error: 'PRECONDITION_FAILED',
+        task
+    });
+};
+
+const STREAM_HEARTBEAT_MS = 25 * 1000;
+// Longest delay setTimeout supports
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+// @route   GET /api/tasks/stream
+// @desc    Server-Sent Events stream of changes to tasks visible to the authenticated user.
+//          Resumes after the Last-Event-ID header (or lastEventId query) when possible.
+// @access  Private
+router.get('/stream', (req, res) => {
+    const userId = req.user._id.toString();
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const write = (type, data, id) => {
+        res.write(`${id ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+    const send = event => write(event.type, event.payload, event.id);
+
+    res.write('retry: 5000\n\n');
+
+    const lastEventId = req.header('Last-Event-ID') || req.query.lastEventId;
+    if (lastEventId) {
+        const missed = eventsSince(userId, lastEventId);
+        if (missed) {
+            missed.forEach(send);
+        } else {
+            write('reset', { message: 'Missed events are no longer available, refetch your tasks' });
+        }
+    }
+
+    const unsubscribe = subscribe(event => {
+        if (event.recipients.includes(userId)) send(event);
+    });
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), STREAM_HEARTBEAT_MS);
+
+    // The stream ends with the access token; clients reconnect with a fresh token and resume.
+    // API keys can expire further ahead than a timer can wait, so those streams end earlier.
+    const expiry = req.tokenExpiresAt && setTimeout(() => {
+        write('token_expired', { message: 'Access token expired, reconnect with a new token' });
+        res.end();
+    }, Math.min(Math.max(req.tokenExpiresAt.getTime() - Date.now(), 0), MAX_TIMER_MS));
+
+    req.on('close', () => {
+        unsubscribe();
+        clearInterval(heartbeat);
+        clearTimeout(expiry);
+    });
+});
 
 // @route   GET /api/tasks
-// @desc    Get all tasks for the authenticated user with optional filtering
+// @desc    Get all tasks visible to the authenticated user (personal and shared) with optional search and filtering
+// @access  Private
+router.get('/', [
+    ...taskFilterValidators,
+    query('sortBy')
+        .optional()
+        .isIn(['createdAt', 'dueDate', 'title', 'status', 'priority'])
+        .withMessage('Sort by must be one of: createdAt, dueDate, title, status, priority'),
+    query('sortOrder')
+        .optional()
+        .isIn(['asc', 'desc'])
+        .withMessage('Sort order must be asc or desc'),
+    query('page')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Page must be a positive integer'),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: MAX_LIMIT })
+        .withMessage(`Limit must be between 1 and ${MAX_LIMIT}`),
+    query('cursor')
+        .optional()
+        .isString()
+        .notEmpty()
+        .withMessage('Cursor must be a non-empty string')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { sortBy = 'createdAt', sortOrder = 'desc', page, limit, cursor } = req.query;
+
+        const scope = await resolveTaskScope(req.user._id, req.query.project);
+        if (!scope) {
+            return res.status(404).json({
+                message: 'Project not found',
+                error: 'PROJECT_NOT_FOUND'
+            });
+        }
+
+        // Build filter object
+        const filter = buildTaskFilter(scope, req.query, req.user._id, req.user.timezone);
+
+        const { items: tasks, pagination } = await paginate(Task, filter, {
+            // Priorities sort by rank rather than alphabetically
+            sortBy: sortBy === 'priority' ? 'priorityRank' : sortBy,
+            direction: sortOrder === 'desc' ? -1 : 1,
+            page,
+            limit,
+            cursor,
+            populate: TASK_POPULATE
+        });
+
+        res.json({
+            tasks,
+            pagination
+        });
+    } catch (error) {
+        console.error('Get tasks error:', error);
+        if (error.code === 'INVALID_CURSOR') {
+            return res.status(400).json({
+                message: 'Invalid pagination cursor',
+                error: 'INVALID_CURSOR'
+            });
+        }
+        res.status(500).json({
+            message: 'Server error',
+            error: 'GET_TASKS_ERROR'
+        });
+    }
+});
+
+// @route   GET /api/tasks/facets
+// @desc    Count tasks per status, tag and priority for the given filters
+// @access  Private
+router.get('/facets', taskFilterValidators, async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const scope = await resolveTaskScope(req.user._id, req.query.project);
+        if (!scope) {
+            return res.status(404).json({
+                message: 'Project not found',
+                error: 'PROJECT_NOT_FOUND'
+            });
+        }
+
+        const filter = buildTaskFilter(scope, req.query, req.user._id, req.user.timezone);
+
+        const [facets] = await Task.aggregate([
+            { $match: filter },
+            {
+                $facet: {
+                    total: [{ $count: 'count' }],
+                    status: [{ $group: { _id: '$status', count: { $sum: 1 } } }],
+                    priority: [{ $group: { _id: { $ifNull: ['$priority', 'medium'] }, count: { $sum: 1 } } }],
+                    tags: [
+                        { $unwind: '$tags' },
+                        { $group: { _id: '$tags', count: { $sum: 1 } } },
+                        { $sort: { count: -1, _id: 1 } }
+                    ]
+                }
+            }
+        ]);
+
+        // Report every status and priority, including those with no tasks
+        const countsFor = (keys, groups) => {
+            const counts = Object.fromEntries(keys.map(key => [key, 0]));
+            groups.forEach(group => { counts[group._id] = group.count; });
+            return counts;
+        };
+
+        const tagDocs = await Tag.find({ user: req.user._id, name: { $in: facets.tags.map(t => t._id) } });
+        const colors = Object.fromEntries(tagDocs.map(tag => [tag.name, tag.color]));
+
+        res.json({
+            total: facets.total.length ? facets.total[0].count : 0,
+            status: countsFor(STATUSES, facets.status),
+            priority: countsFor(Task.PRIORITIES, facets.priority),
+            tags: facets.tags.map(t => ({
+                name: t._id,
+                color: colors[t._id] || Tag.DEFAULT_COLOR,
+                count: t.count
+            }))
+        });
+    } catch (error) {
+        console.error('Get task facets error:', error);
+        res.status(500).json({
+            message: 'Server error',
+            error: 'GET_FACETS_ERROR'
+        });
+    }
+});
+
+// @route   GET /api/tasks/stats
+// @desc    Dashboard statistics: counts by status, overdue and due soon, completions over time
+//          and average time from creation to completion
+// @access  Private
+router.get('/stats', [
+    query('project')
+        .optional()
+        .isMongoId()
+        .withMessage('Project must be a valid ID'),
+    query(['from', 'to'])
+        .optional()
+        .isISO8601()
+        .withMessage('From and to must be valid ISO 8601 dates'),
+    query('groupBy')
+        .optional()
+        .isIn(['day', 'week'])
+        .withMessage('Group by must be day or week')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const scope = await resolveTaskScope(req.user._id, req.query.project);
+        if (!scope) {
+            return res.status(404).json({
+                message: 'Project not found',
+                error: 'PROJECT_NOT_FOUND'
+            });
+        }
+
+        // Completions default to the last 30 days
+        const to = req.query.to ? new Date(req.query.to) : new Date();
+        const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+        if (from > to) {
+            return res.status(400).json({
+                message: 'From must be before to',
+                error: 'INVALID_RANGE'
+            });
+        }
+        if (to - from > 366 * 24 * 60 * 60 * 1000) {
+            return res.status(400).json({
+                message: 'Range cannot exceed one year',
+                error: 'INVALID_RANGE'
+            });
+        }
+
+        const stats = await getTaskStats(scope, {
+            from,
+            to,
+            groupBy: req.query.groupBy,
+            timeZone: req.user.timezone,
+            weekStart: req.user.preferences.weekStart
+        });
+
+        res.json({ stats });
+    } catch (error) {
+        console.error('Get task stats error:', error);
+        res.status(500).json({
+            message: 'Server error',
+            error: 'GET_STATS_ERROR'
+        });
+    }
+});
+
+// @route   GET /api/tasks/trash
+// @desc    Get trashed tasks visible to the authenticated user, most recently deleted first
+// @access  Private
+router.get('/trash', [
+    query('project')
+        .optional()
+        .isMongoId()
+        .withMessage('Project must be a valid ID'),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: MAX_LIMIT })
+        .withMessage(`Limit must be between 1 and ${MAX_LIMIT}`),
+    query('cursor')
+        .optional()
+        .isString()
+        .notEmpty()
+        .withMessage('Cursor must be a non-empty string')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const scope = await resolveTaskScope(req.user._id, req.query.project, { trashed: true });
+        if (!scope) {
+            return res.status(404).json({
+                message: 'Project not found',
+                error: 'PROJECT_NOT_FOUND'
+            });
+        }
+
+        const { items: tasks, pagination } = await paginate(Task, scope, {
+            sortBy: 'deletedAt',
+            direction: -1,
+            limit: req.query.limit,
+            cursor: req.query.cursor,
+            populate: [...TASK_POPULATE, { path: 'deletedBy', select: 'username email' }]
+        });
+
+        res.json({
+            tasks,
+            pagination,
+            retentionDays: TRASH_RETENTION_DAYS
+        });
+    } catch (error) {
+        console.error('Get trash error:', error);
+        if (error.code === 'INVALID_CURSOR') {
+            return res.status(400).json({
+                message: 'Invalid pagination cursor',
+                error: 'INVALID_CURSOR'
+            });
+        }
+        res.status(500).json({
+            message: 'Server error',
+            error: 'GET_TRASH_ERROR'
+        });
+    }
+});
+
+// @route   POST /api/tasks
+// @desc    Create a new task
+// @access  Private
+router.post('/', createTaskValidators, async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { project: projectId, recurrence } = req.body;
+
+        // Creating a task in a shared project requires at least editor access
+        if (projectId) {
+            const denied = await checkProjectAccess(projectId, req.user._id);
+            if (denied) {
+                return res.status(denied.status).json({
+                    message: denied.message,
+                    error: denied.error
+                });
+            }
+        }
+
+        const task = buildTask(req.body, req.user._id);
+        await task.validate();
+        const { nextOccurrence } = await saveNewTask(task, recurrence, req.user._id);
+
+        res.status(201).json({
+            message: 'Task created successfully',
+            task,
+            ...(nextOccurrence && { nextOccurrence })
+        });
+    } catch (error) {
+        console.error('Create task error:', error);
+        res.status(500).json({
+            message: 'Server error',
+            error: 'CREATE_TASK_ERROR'
+        });
+    }
+});
+
+// @route   GET /api/tasks/export
+// @desc    Download the tasks matching the list filters as CSV, JSON or iCalendar
+// @access  Private
+router.get('/export', [
+    ...taskFilterValidators,
+    query('format')
+        .optional()
+        .isIn(EXPORT_FORMATS)
+        .withMessage(`Format must be one of: ${EXPORT_FORMATS.join(', ')}`),
+    query('sortBy')
+        .optional()
+        .isIn(['createdAt', 'dueDate', 'title', 'status', 'priority'])
+        .withMessage('Sort by must be one of: createdAt, dueDate, title, status, priority'),
+    query('sortOrder')
+        .optional()
+        .isIn(['asc', 'desc'])
+        .withMessage('Sort order must be asc or desc')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { format = 'json', sortBy = 'createdAt', sortOrder = 'desc' } = req.query;
+
+        const scope = await resolveTaskScope(req.user._id, req.query.project);
+        if (!scope) {
+            return res.status(404).json({
+                message: 'Project not found',
+                error: 'PROJECT_NOT_FOUND'
+            });
+        }
+
+        const direction = sortOrder === 'desc' ? -1 : 1;
+        const tasks = await Task.find(buildTaskFilter(scope, req.query, req.user._id, req.user.timezone))
+            .sort({ [sortBy === 'priority' ? 'priorityRank' : sortBy]: direction, _id: direction })
+            .populate(TASK_POPULATE);
+
+        const now = new Date();
+        const { body: content, contentType, extension } = exportTasks(tasks, format, { now });
+
+        res.attachment(`tasks-${now.toISOString().slice(0, 10)}.${extension}`);
+        res.type(contentType);
+        res.send(content);
+    } catch (error) {
+        console.error('Export tasks error:', error);
+        res.status(500).json({
+            message: 'Server error',
+            error: 'EXPORT_TASKS_ERROR'
+        });
+    }
+});
+
+// @route   POST /api/tasks/import
+// @desc    Create tasks from a CSV body (Content-Type: text/csv) or JSON ({ tasks: [...] }).
+//          Every row is validated like POST /api/tasks; dryRun=true only validates.
+// @access  Private
+router.post('/import', express.text({ type: 'text/csv' }), [
+    query('dryRun')
+        .optional()
+        .isBoolean()
+        .withMessage('dryRun must be true or false')
+        .toBoolean()
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        let rows;
+        try {
+            rows = parseImportRows(req.body, Boolean(req.is('text/csv')));
+        } catch (error) {
+            if (error.code !== 'INVALID_CSV') throw error;
+            return res.status(400).json({
+                message: `Invalid CSV: ${error.message}`,
+                error: 'INVALID_CSV'
+            });
+        }
+
+        if (!rows || rows.length === 0) {
+            return res.status(400).json({
+                message: 'Provide tasks as a CSV body or as a JSON list',
+                error: 'NO_TASKS_TO_IMPORT'
+            });
+        }
+
+        if (rows.length > IMPORT_LIMIT) {
+            return res.status(400).json({
+                message: `An import cannot contain more than ${IMPORT_LIMIT} tasks`,
+                error: 'IMPORT_LIMIT_EXCEEDED'
+            });
+        }
+
+        const dryRun = req.query.dryRun === true;
+        const projectAccess = new Map();
+        const results = [];
+
+        for (const [index, row] of rows.entries()) {
+            const rowNumber = index + 1;
+
+            // Same rules as POST /api/tasks
+            const rowErrors = await validateTaskData(createTaskValidators, row);
+            if (rowErrors.length) {
+                results.push({
+                    row: rowNumber,
+                    success: false,
+                    errors: rowErrors
+                });
+                continue;
+            }
+
+            if (row.project) {
+                if (!projectAccess.has(row.project)) {
+                    projectAccess.set(row.project, await checkProjectAccess(row.project, req.user._id));
+                }
+                const denied = projectAccess.get(row.project);
+                if (denied) {
+                    results.push({
+                        row: rowNumber,
+                        success: false,
+                        errors: [{ field: 'project', message: denied.message }]
+                    });
+                    continue;
+                }
+            }
+
+            const task = buildTask(row, req.user._id);
+            try {
+                await task.validate();
+            } catch (error) {
+                if (error.name !== 'ValidationError') throw error;
+                results.push({
+                    row: rowNumber,
+                    success: false,
+                    errors: Object.values(error.errors).map(e => ({ field: e.path, message: e.message }))
+                });
+                continue;
+            }
+
+            if (!dryRun) {
+                await saveNewTask(task, row.recurrence, req.user._id);
+            }
+            results.push({
+                row: rowNumber,
+                success: true,
+                ...(!dryRun && { taskId: task._id })
+            });
+        }
+
+        const succeeded = results.filter(r => r.success).length;
+
+        res.json({
+            message: dryRun ? 'Import validated, no tasks were created' : 'Import completed',
+            dryRun,
+            summary: {
+                total: results.length,
+                succeeded,
+                failed: results.length - succeeded
+            },
+            results
+        });
+    } catch (error) {
+        console.error('Import tasks error:', error);
+        res.status(500).json({
+            message: 'Server error',
+            error: 'IMPORT_TASKS_ERROR'
+        });
+    }
+});
+
+// @route   POST /api/tasks/bulk
+// @desc    Apply one operation to many tasks, selected by ID or by the list filters
+// @access  Private
+router.post('/bulk', [
+    body()
+        .custom(value => (value.ids === undefined) !== (value.filter === undefined))
+        .withMessage('Provide either ids or filter'),
+    body('ids')
+        .optional()
+        .isArray({ min: 1, max: BULK_LIMIT })
+        .withMessage(`ids must be a list of 1 to ${BULK_LIMIT} task IDs`),
+    body('ids.*')
+        .isMongoId()
+        .withMessage('Each ID must be a valid task ID'),
+    body('filter')
+        .optional()
+        .isObject()
+        .withMessage('Filter must be an object'),
+    ...makeTaskFilterValidators(fields => body([].concat(fields).map(f => `filter.${f}`))),
+    body('operation.type')
+        .isIn(BULK_OPERATIONS)
+        .withMessage(`Operation type must be one of: ${BULK_OPERATIONS.join(', ')}`),
+    body('operation.status')
+        .if(body('operation.type').equals('setStatus'))
+        .isIn(['Pending', 'In Progress', 'Completed'])
+        .withMessage('Status must be one of: Pending, In Progress, Completed'),
+    body('operation.dueDate')
+        .if(body('operation.type').equals('reschedule'))
+        .isISO8601()
+        .withMessage('Due date must be a valid date'),
+    body('operation.tag')
+        .if(body('operation.type').equals('addTag'))
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 30 })
+        .withMessage('Tag must be between 1 and 30 characters'),
+    body('transactional')
+        .optional()
+        .isBoolean()
+        .withMessage('Transactional must be true or false')
+        .toBoolean()
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { ids, filter, operation, transactional = false } = req.body;
+
+        let taskIds;
+        if (ids) {
+            taskIds = [...new Set(ids)];
+        } else {
+            const scope = await resolveTaskScope(req.user._id, filter.project);
+            if (!scope) {
+                return res.status(404).json({
+                    message: 'Project not found',
+                    error: 'PROJECT_NOT_FOUND'
+                });
+            }
+
+            const matches = await Task.find(buildTaskFilter(scope, filter, req.user._id, req.user.timezone))
+                .select('_id')
+                .limit(BULK_LIMIT + 1);
+            if (matches.length > BULK_LIMIT) {
+                return res.status(400).json({
+                    message: `Filter matches more than ${BULK_LIMIT} tasks`,
+                    error: 'BULK_LIMIT_EXCEEDED'
+                });
+            }
+            taskIds = matches.map(t => t._id);
+        }
+
+        // Change events are only published once the operation has been applied for good
+        let results;
+        const events = [];
+        if (transactional) {
+            // All-or-nothing: any failed item rolls back the whole batch
+            let rolledBack = false;
+            try {
+                await mongoose.connection.transaction(async () => {
+                    events.length = 0;
+                    results = await runBulkOperation(taskIds, operation, req.user._id, events);
+                    if (results.some(r => !r.success)) {
+                        rolledBack = true;
+                        throw new Error('Bulk operation rolled back');
+                    }
+                });
+            } catch (error) {
+                if (!rolledBack) throw error;
+            }
+
+            if (rolledBack) {
+                return res.status(400).json({
+                    message: 'Bulk operation failed and was rolled back',
+                    error: 'BULK_OPERATION_FAILED',
+                    results
+                });
+            }
+        } else {
+            results = await runBulkOperation(taskIds, operation, req.user._id, events);
+        }
+        await publishTaskEvents(events, req.user._id);
+
+        const succeeded = results.filter(r => r.success).length;
+
+        res.json({
+            message: 'Bulk operation completed',
+            operation: operation.type,
+            transactional,
+            summary: {
+                total: results.length,
+                succeeded,
+                failed: results.length - succeeded
+            },
+            results
+        });
+    } catch (error) {
+        console.error('Bulk task operation error:', error);
+        if (error.code === 20 || error.codeName === 'IllegalOperation') {
+            return res.status(400).json({
+                message: 'Transactions require a MongoDB replica set',
+                error: 'TRANSACTIONS_UNSUPPORTED'
+            });
+        }
+        res.status(500).json({
+            message: 'Server error',
+            error: 'BULK_OPERATION_ERROR'
+        });
+    }
+});
+
+// @route   PATCH /api/tasks/:id/status
+// @desc    Update task status. With If-Match, stale writes are rejected with 412.
 // @access  Private
-router.get('/', [
-    query('status')
-        .optional()
+router.patch('/:id/status', [
+    body('status')
         .isIn(['Pending', 'In Progress', 'Completed'])
-        .withMessage('Status must be one of: Pending, In Progress, Completed'),
-    query('sortBy')
-        .optional()
-        .isIn(['createdAt', 'dueDate', 'title', 'status'])
-        .withMessage('Sort by must be one of: createdAt, dueDate, title, status'),
-    query('sortOrder')
-        .optional()
-        .isIn(['asc', 'desc'])
-        .withMessage('Sort order must be asc or desc')
+        .withMessage('Status must be one of: Pending, In Progress, Completed')
 ], async (req, res) => {
     try {
         // Check for validation errors
@@ -35,65 +778,83 @@ router.get('/', [
             });
         }
 
-        const { status, sortBy = 'createdAt', sortOrder = 'desc', page = 1 } = req.query;
+        const { task, role } = await findTaskWithRole(req.params.id, req.user._id);
 
-        // Build filter object
-        const filter = { user: req.user._id };
-        if (status) {
-            filter.status = status;
+        if (!task) {
+            return res.status(404).json({
+                message: 'Task not found',
+                error: 'TASK_NOT_FOUND'
+            });
+        }
+
+        if (!roleAtLeast(role, 'editor')) {
+            return res.status(403).json({
+                message: 'You do not have permission to modify this task',
+                error: 'INSUFFICIENT_ROLE'
+            });
+        }
+
+        if (isStaleWrite(req, task)) {
+            return await sendStaleWrite(res, task);
+        }
+
+        if (req.body.status === 'Completed' && task.strictSubtasks && task.hasOpenSubtasks()) {
+            return res.status(400).json({
+                message: 'Complete all subtasks before completing this task',
+                error: 'INCOMPLETE_SUBTASKS'
+            });
         }
 
-        // Build sort object
-        const sort = {};
-        sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
+        const previousStatus = task.status;
+        task.status = req.body.status;
+        await task.save();
+        await recordActivity(task, req.user._id, 'status_changed');
 
-        const tasks = await Task.find(filter)
-            .sort(sort)
-            .populate('user', 'username email');
+        // Completing an occurrence of a recurring task schedules the next one
+        const nextOccurrence = await generateNextOccurrence(task, req.user._id);
+        await task.populate(TASK_POPULATE);
 
-        // Get total count for pagination
-        const total = await Task.countDocuments(filter);
+        if (task.status !== previousStatus) {
+            await publishTaskEvent('task.status_changed', task, req.user._id, { previousStatus });
+        }
+        if (nextOccurrence) {
+            await nextOccurrence.populate(TASK_POPULATE);
+            await publishTaskEvent('task.created', nextOccurrence, req.user._id);
+        }
 
+        setTaskEtag(res, task);
         res.json({
-            tasks
+            message: 'Task status updated successfully',
+            task,
+            ...(nextOccurrence && { nextOccurrence })
         });
     } catch (error) {
-        console.error('Get tasks error:', error);
+        console.error('Update task status error:', error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({
+                message: 'Invalid task ID',
+                error: 'INVALID_TASK_ID'
+            });
+        }
+        if (error.name === 'VersionError') {
+            return await sendVersionConflict(res, req.params.id);
+        }
         res.status(500).json({
             message: 'Server error',
-            error: 'GET_TASKS_ERROR'
+            error: 'UPDATE_STATUS_ERROR'
         });
     }
 });
 
-// @route   POST /api/tasks
-// @desc    Create a new task
+// @route   POST /api/tasks/:id/assignees
+// @desc    Assign a user to a task by username or email
 // @access  Private
-router.post('/', [
-    body('title')
-        .isLength({ min: 1, max: 100 })
-        .withMessage('Title is required and must be between 1 and 100 characters')
-        .trim(),
-    body('description')
-        .optional()
-        .isLength({ max: 500 })
-        .withMessage('Description cannot exceed 500 characters')
-        .trim(),
-    body('dueDate')
-        .isISO8601()
-        .withMessage('Due date must be a valid date')
-        .custom((value) => {
-            const dueDate = new Date(value);
-            const now = new Date();
-            if (dueDate < now) {
-                throw new Error('Due date cannot be in the past');
-            }
-            return true;
-        }),
-    body('status')
-        .optional()
-        .isIn(['Pending', 'In Progress', 'Completed'])
-        .withMessage('Status must be one of: Pending, In Progress, Completed')
+router.post('/:id/assignees', [
+    body('user')
+        .isString()
+        .trim()
+        .notEmpty()
+        .withMessage('Username or email is required')
 ], async (req, res) => {
     try {
         // Check for validation errors
@@ -105,39 +866,216 @@ router.post('/', [
             });
         }
 
-        const { title, description, dueDate, status = 'Pending' } = req.body;
+        const { task, role } = await findTaskWithRole(req.params.id, req.user._id);
+
+        if (!task) {
+            return res.status(404).json({
+                message: 'Task not found',
+                error: 'TASK_NOT_FOUND'
+            });
+        }
+
+        if (!roleAtLeast(role, 'editor')) {
+            return res.status(403).json({
+                message: 'You do not have permission to modify this task',
+                error: 'INSUFFICIENT_ROLE'
+            });
+        }
 
-        const task = new Task({
-            title,
-            description,
-            dueDate,
-            status,
-            user: req.user._id
+        const identifier = req.body.user;
+        const assignee = await User.findOne({
+            $or: [{ username: identifier }, { email: identifier.toLowerCase() }]
         });
 
+        if (!assignee) {
+            return res.status(404).json({
+                message: 'User not found',
+                error: 'USER_NOT_FOUND'
+            });
+        }
+
+        // Shared tasks can only be assigned to members of their project
+        if (task.project) {
+            const project = await Project.findById(task.project);
+            if (!project || !project.getRole(assignee._id)) {
+                return res.status(400).json({
+                    message: 'User is not a member of this project',
+                    error: 'NOT_PROJECT_MEMBER'
+                });
+            }
+        }
+
+        if (task.isAssignedTo(assignee._id)) {
+            return res.status(400).json({
+                message: 'User is already assigned to this task',
+                error: 'ALREADY_ASSIGNED'
+            });
+        }
+
+        task.assignees.push(assignee._id);
         await task.save();
-        await task.populate('user', 'username email');
+        await recordActivity(task, req.user._id, 'assigned', { meta: { assignee: assignee._id } });
+        await task.populate(TASK_POPULATE);
+        await publishTaskEvent('task.updated', task, req.user._id);
 
-        res.status(201).json({
-            message: 'Task created successfully',
+        res.json({
+            message: 'User assigned successfully',
             task
         });
     } catch (error) {
-        console.error('Create task error:', error);
+        console.error('Assign task error:', error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({
+                message: 'Invalid task ID',
+                error: 'INVALID_TASK_ID'
+            });
+        }
+        if (error.name === 'VersionError') {
+            return await sendVersionConflict(res, req.params.id);
+        }
         res.status(500).json({
             message: 'Server error',
-            error: 'CREATE_TASK_ERROR'
+            error: 'ASSIGN_TASK_ERROR'
         });
     }
 });
 
-// @route   PATCH /api/tasks/:id/status
-// @desc    Update task status
+// @route   DELETE /api/tasks/:id/assignees/:userId
+// @desc    Unassign a user from a task
 // @access  Private
-router.patch('/:id/status', [
-    body('status')
-        .isIn(['Pending', 'In Progress', 'Completed'])
-        .withMessage('Status must be one of: Pending, In Progress, Completed')
+router.delete('/:id/assignees/:userId', async (req, res) => {
+    try {
+        const { task, role } = await findTaskWithRole(req.params.id, req.user._id);
+
+        if (!task) {
+            return res.status(404).json({
+                message: 'Task not found',
+                error: 'TASK_NOT_FOUND'
+            });
+        }
+
+        if (!roleAtLeast(role, 'editor')) {
+            return res.status(403).json({
+                message: 'You do not have permission to modify this task',
+                error: 'INSUFFICIENT_ROLE'
+            });
+        }
+
+        if (!task.isAssignedTo(req.params.userId)) {
+            return res.status(404).json({
+                message: 'User is not assigned to this task',
+                error: 'ASSIGNEE_NOT_FOUND'
+            });
+        }
+
+        task.assignees = task.assignees.filter(a => a.toString() !== req.params.userId);
+        await task.save();
+        await recordActivity(task, req.user._id, 'unassigned', { meta: { assignee: req.params.userId } });
+
+        // A user who can no longer see the task drops it on their next sync
+        if (!(await getTaskRole(task, req.params.userId))) {
+            await TaskTombstone.create({
+                task: task._id,
+                clientId: task.clientId,
+                users: [req.params.userId],
+                reason: 'unshared'
+            });
+        }
+        await task.populate(TASK_POPULATE);
+        await publishTaskEvent('task.updated', task, req.user._id);
+
+        res.json({
+            message: 'User unassigned successfully',
+            task
+        });
+    } catch (error) {
+        console.error('Unassign task error:', error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({
+                message: 'Invalid task ID',
+                error: 'INVALID_TASK_ID'
+            });
+        }
+        if (error.name === 'VersionError') {
+            return await sendVersionConflict(res, req.params.id);
+        }
+        res.status(500).json({
+            message: 'Server error',
+            error: 'UNASSIGN_TASK_ERROR'
+        });
+    }
+});
+
+// @route   POST /api/tasks/:id/restore
+// @desc    Restore a task from the trash
+// @access  Private
+router.post('/:id/restore', async (req, res) => {
+    try {
+        const { task, role } = await findTaskWithRole(req.params.id, req.user._id, { includeTrashed: true });
+
+        if (!task) {
+            return res.status(404).json({
+                message: 'Task not found',
+                error: 'TASK_NOT_FOUND'
+            });
+        }
+
+        if (!roleAtLeast(role, 'editor')) {
+            return res.status(403).json({
+                message: 'You do not have permission to restore this task',
+                error: 'INSUFFICIENT_ROLE'
+            });
+        }
+
+        if (!task.deletedAt) {
+            return res.status(400).json({
+                message: 'Task is not in the trash',
+                error: 'TASK_NOT_TRASHED'
+            });
+        }
+
+        task.deletedAt = null;
+        task.deletedBy = null;
+        await task.save();
+        await recordActivity(task, req.user._id, 'restored');
+        await task.populate(TASK_POPULATE);
+        await publishTaskEvent('task.restored', task, req.user._id);
+
+        res.json({
+            message: 'Task restored successfully',
+            task
+        });
+    } catch (error) {
+        console.error('Restore task error:', error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({
+                message: 'Invalid task ID',
+                error: 'INVALID_TASK_ID'
+            });
+        }
+        if (error.name === 'VersionError') {
+            return await sendVersionConflict(res, req.params.id);
+        }
+        res.status(500).json({
+            message: 'Server error',
+            error: 'RESTORE_TASK_ERROR'
+        });
+    }
+});
+
+// @route   GET /api/tasks/:id/history
+// @desc    Get the activity history of a task, newest first
+// @access  Private
+router.get('/:id/history', [
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: MAX_LIMIT })
+        .withMessage(`Limit must be between 1 and ${MAX_LIMIT}`),
+    query('cursor')
+        .optional()
+        .isString()
+        .notEmpty()
+        .withMessage('Cursor must be a non-empty string')
 ], async (req, res) => {
     try {
         // Check for validation errors
@@ -149,10 +1087,7 @@ router.patch('/:id/status', [
             });
         }
 
-        const task = await Task.findOne({
-            _id: req.params.id,
-            user: req.user._id
-        });
+        const { task } = await findTaskWithRole(req.params.id, req.user._id, { includeTrashed: true });
 
         if (!task) {
             return res.status(404).json({
@@ -161,38 +1096,45 @@ router.patch('/:id/status', [
             });
         }
 
-        task.status = req.body.status;
-        await task.save();
-        await task.populate('user', 'username email');
+        const { items: history, pagination } = await paginate(TaskActivity, { task: task._id }, {
+            sortBy: 'createdAt',
+            direction: -1,
+            limit: req.query.limit,
+            cursor: req.query.cursor,
+            populate: { path: 'actor', select: 'username email' }
+        });
 
         res.json({
-            message: 'Task status updated successfully',
-            task
+            history,
+            pagination
         });
     } catch (error) {
-        console.error('Update task status error:', error);
+        console.error('Get task history error:', error);
         if (error.kind === 'ObjectId') {
             return res.status(400).json({
                 message: 'Invalid task ID',
                 error: 'INVALID_TASK_ID'
             });
         }
+        if (error.code === 'INVALID_CURSOR') {
+            return res.status(400).json({
+                message: 'Invalid pagination cursor',
+                error: 'INVALID_CURSOR'
+            });
+        }
         res.status(500).json({
             message: 'Server error',
-            error: 'UPDATE_STATUS_ERROR'
+            error: 'GET_TASK_HISTORY_ERROR'
         });
     }
 });
 
 // @route   GET /api/tasks/:id
-// @desc    Get a specific task
+// @desc    Get a specific task. Answers 304 when If-None-Match has the current ETag.
 // @access  Private
 router.get('/:id', async (req, res) => {
     try {
-        const task = await Task.findOne({
-            _id: req.params.id,
-            user: req.user._id
-        }).populate('user', 'username email');
+        const { task } = await findTaskWithRole(req.params.id, req.user._id);
 
         if (!task) {
             return res.status(404).json({
@@ -201,6 +1143,15 @@ router.get('/:id', async (req, res) => {
             });
         }
 
+        // Compared directly: req.fresh ignores validators on requests sent with Cache-Control: no-cache
+        setTaskEtag(res, task);
+        const ifNoneMatch = req.header('If-None-Match');
+        if (ifNoneMatch && etagMatches(ifNoneMatch, task)) {
+            return res.status(304).end();
+        }
+
+        await task.populate(TASK_POPULATE);
+
         res.json({ task });
     } catch (error) {
         console.error('Get task error:', error);
@@ -218,27 +1169,14 @@ router.get('/:id', async (req, res) => {
 });
 
 // @route   PUT /api/tasks/:id
-// @desc    Update a task
+// @desc    Update a task. With If-Match, stale writes are rejected with 412.
 // @access  Private
 router.put('/:id', [
-    body('title')
-        .optional()
-        .isLength({ min: 1, max: 100 })
-        .withMessage('Title must be between 1 and 100 characters')
-        .trim(),
-    body('description')
-        .optional()
-        .isLength({ max: 500 })
-        .withMessage('Description cannot exceed 500 characters')
-        .trim(),
-    body('dueDate')
-        .optional()
-        .isISO8601()
-        .withMessage('Due date must be a valid date'),
-    body('status')
+    ...updateTaskValidators,
+    query('scope')
         .optional()
-        .isIn(['Pending', 'In Progress', 'Completed'])
-        .withMessage('Status must be one of: Pending, In Progress, Completed')
+        .isIn(['this', 'series'])
+        .withMessage('Scope must be this or series')
 ], async (req, res) => {
     try {
         // Check for validation errors
@@ -250,10 +1188,7 @@ router.put('/:id', [
             });
         }
 
-        const task = await Task.findOne({
-            _id: req.params.id,
-            user: req.user._id
-        });
+        const { task, role } = await findTaskWithRole(req.params.id, req.user._id);
 
         if (!task) {
             return res.status(404).json({
@@ -262,19 +1197,92 @@ router.put('/:id', [
             });
         }
 
+        if (!roleAtLeast(role, 'editor')) {
+            return res.status(403).json({
+                message: 'You do not have permission to modify this task',
+                error: 'INSUFFICIENT_ROLE'
+            });
+        }
+
+        if (isStaleWrite(req, task)) {
+            return await sendStaleWrite(res, task);
+        }
+
         // Update fields
-        const { title, description, dueDate, status } = req.body;
+        const { title, description, dueDate, status, priority, tags, autoComplete, strictSubtasks, recurrence } = req.body;
+        const previousStatus = task.status;
         if (title !== undefined) task.title = title;
         if (description !== undefined) task.description = description;
         if (dueDate !== undefined) task.dueDate = dueDate;
         if (status !== undefined) task.status = status;
+        if (priority !== undefined) task.priority = priority;
+        if (tags !== undefined) task.tags = [...new Set(tags)];
+        if (autoComplete !== undefined) task.autoComplete = autoComplete;
+        if (strictSubtasks !== undefined) task.strictSubtasks = strictSubtasks;
+
+        if (task.status === 'Completed' && task.isModified('status') && task.strictSubtasks && task.hasOpenSubtasks()) {
+            return res.status(400).json({
+                message: 'Complete all subtasks before completing this task',
+                error: 'INCOMPLETE_SUBTASKS'
+            });
+        }
+
+        const newSeries = recurrence && !task.series ? await startSeries(task, recurrence) : null;
 
         await task.save();
-        await task.populate('user', 'username email');
 
+        // Series and sibling writes wait for the occurrence's own save, so a refused save
+        // (stale version, validation) leaves the rest of the series untouched
+        if (newSeries) {
+            await newSeries.save();
+        } else if (recurrence !== undefined && task.series) {
+            // The recurrence rule always belongs to the whole series; null stops the series
+            const update = recurrence
+                ? { recurrence: normalizeRecurrence(recurrence, task.dueDate), active: true }
+                : { active: false };
+            await TaskSeries.updateOne({ _id: task.series }, update);
+        }
+
+        // scope=series also applies the shared fields to the template and every open occurrence
+        if (req.query.scope === 'series' && task.series) {
+            const shared = {};
+            if (title !== undefined) shared.title = title;
+            if (description !== undefined) shared.description = description;
+            if (autoComplete !== undefined) shared.autoComplete = autoComplete;
+            if (strictSubtasks !== undefined) shared.strictSubtasks = strictSubtasks;
+
+            if (Object.keys(shared).length) {
+                await TaskSeries.updateOne({ _id: task.series }, shared);
+                await Task.updateMany(
+                    { series: task.series, _id: { $ne: task._id }, status: { $ne: 'Completed' }, deletedAt: null },
+                    shared
+                );
+            }
+        }
+
+        if (tags !== undefined) {
+            await Tag.ensureForUser(req.user._id, task.tags);
+        }
+        await recordActivity(task, req.user._id, 'updated');
+
+        // Completing an occurrence of a recurring task schedules the next one
+        const nextOccurrence = await generateNextOccurrence(task, req.user._id);
+        await task.populate(TASK_POPULATE);
+
+        await publishTaskEvent('task.updated', task, req.user._id);
+        if (task.status !== previousStatus) {
+            await publishTaskEvent('task.status_changed', task, req.user._id, { previousStatus });
+        }
+        if (nextOccurrence) {
+            await nextOccurrence.populate(TASK_POPULATE);
+            await publishTaskEvent('task.created', nextOccurrence, req.user._id);
+        }
+
+        setTaskEtag(res, task);
         res.json({
             message: 'Task updated successfully',
-            task
+            task,
+            ...(nextOccurrence && { nextOccurrence })
         });
     } catch (error) {
         console.error('Update task error:', error);
@@ -284,6 +1292,9 @@ router.put('/:id', [
                 error: 'INVALID_TASK_ID'
             });
         }
+        if (error.name === 'VersionError') {
+            return await sendVersionConflict(res, req.params.id);
+        }
         res.status(500).json({
             message: 'Server error',
             error: 'UPDATE_TASK_ERROR'
@@ -292,13 +1303,33 @@ router.put('/:id', [
 });
 
 // @route   DELETE /api/tasks/:id
-// @desc    Delete a task
+// @desc    Move a task to the trash (permanent=true deletes it for good), or with
+//          scope=series every occurrence of its series
 // @access  Private
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', [
+    query('scope')
+        .optional()
+        .isIn(['this', 'series'])
+        .withMessage('Scope must be this or series'),
+    query('permanent')
+        .optional()
+        .isBoolean()
+        .withMessage('Permanent must be true or false')
+        .toBoolean()
+], async (req, res) => {
     try {
-        const task = await Task.findOneAndDelete({
-            _id: req.params.id,
-            user: req.user._id
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        // Trashed tasks can still be purged permanently
+        const { task, role } = await findTaskWithRole(req.params.id, req.user._id, {
+            includeTrashed: req.query.permanent === true
         });
 
         if (!task) {
@@ -308,8 +1339,60 @@ router.delete('/:id', async (req, res) => {
             });
         }
 
+        if (!roleAtLeast(role, 'editor')) {
+            return res.status(403).json({
+                message: 'You do not have permission to delete this task',
+                error: 'INSUFFICIENT_ROLE'
+            });
+        }
+
+        const permanent = req.query.permanent === true;
+
+        if (req.query.scope === 'series' && task.series) {
+            const occurrences = await Task.find({ series: task.series, ...(!permanent && { deletedAt: null }) });
+            if (permanent) {
+                await Task.deleteMany({ series: task.series });
+                await TaskSeries.deleteOne({ _id: task.series });
+            } else {
+                await Task.updateMany(
+                    { _id: { $in: occurrences.map(o => o._id) } },
+                    { deletedAt: new Date(), deletedBy: req.user._id }
+                );
+                await TaskSeries.updateOne({ _id: task.series }, { active: false });
+            }
+            for (const occurrence of occurrences) {
+                await recordActivity(occurrence, req.user._id, permanent ? 'purged' : 'deleted', {
+                    meta: { series: task.series }
+                });
+                await publishTaskEvent('task.deleted', occurrence, req.user._id, { permanent });
+            }
+
+            return res.json({
+                message: permanent ? 'Task series permanently deleted' : 'Task series moved to trash',
+                deletedTask: task,
+                deletedOccurrences: occurrences.length
+            });
+        }
+
+        if (permanent) {
+            await task.deleteOne();
+            await recordActivity(task, req.user._id, 'purged');
+            await publishTaskEvent('task.deleted', task, req.user._id, { permanent: true });
+
+            return res.json({
+                message: 'Task permanently deleted',
+                deletedTask: task
+            });
+        }
+
+        task.deletedAt = new Date();
+        task.deletedBy = req.user._id;
+        await task.save();
+        await recordActivity(task, req.user._id, 'deleted');
+        await publishTaskEvent('task.deleted', task, req.user._id, { permanent: false });
+
         res.json({
-            message: 'Task deleted successfully',
+            message: 'Task moved to trash',
             deletedTask: task
         });
     } catch (error) {
@@ -320,6 +1403,9 @@ router.delete('/:id', async (req, res) => {
                 error: 'INVALID_TASK_ID'
             });
         }
+        if (error.name === 'VersionError') {
+            return await sendVersionConflict(res, req.params.id);
+        }
         res.status(500).json({
             message: 'Server error',
             error: 'DELETE_TASK_ERROR'
@@ -0,0 +1,266 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const { authAccountLimiter } = require('../middleware/rateLimit');
+const { revokeAllSessions } = require('../utils/tokens');
+const { generateSecret, provisioningUri } = require('../utils/totp');
+const {
+    ISSUER,
+    encryptSecret,
+    generateRecoveryCodes,
+    consumeTwoFactorCode,
+    verifyEnrollmentCode
+} = require('../utils/twoFactor');
+
+const router = express.Router();
+
+// Mounted under /api/auth/2fa; every route acts on the signed-in user
+router.use(auth);
+router.use(authAccountLimiter);
+
+const twoFactorStatus = (user) => user.toJSON().twoFactor;
+
+// @route   GET /api/auth/2fa
+// @desc    Get whether two-factor authentication is enabled and how many recovery codes are left
+// @access  Private
+router.get('/', async (req, res) => {
+    res.json({ twoFactor: twoFactorStatus(req.user) });
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start enrollment: create a secret and return it with a provisioning URI for
+//          authenticator apps. Two-factor authentication is enabled once a code is confirmed.
+// @access  Private
+router.post('/setup', [
+    body('password')
+        .notEmpty()
+        .withMessage('Password is required')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        if (req.user.twoFactor.enabled) {
+            return res.status(400).json({
+                message: 'Two-factor authentication is already enabled',
+                error: 'TWO_FACTOR_ALREADY_ENABLED'
+            });
+        }
+
+        const isPasswordValid = await req.user.comparePassword(req.body.password);
+        if (!isPasswordValid) {
+            return res.status(400).json({
+                message: 'Password is incorrect',
+                error: 'INVALID_PASSWORD'
+            });
+        }
+
+        const secret = generateSecret();
+        req.user.twoFactor.pendingSecret = encryptSecret(secret);
+        await req.user.save();
+
+        res.json({
+            message: 'Scan the QR code with your authenticator app, then confirm with a code',
+            secret,
+            otpauthUrl: provisioningUri(secret, req.user.email, ISSUER)
+        });
+    } catch (error) {
+        console.error('Two-factor setup error:', error);
+        res.status(500).json({
+            message: 'Server error',
+            error: 'TWO_FACTOR_SETUP_ERROR'
+        });
+    }
+});
+
+// @route   POST /api/auth/2fa/confirm
+// @desc    Finish enrollment with a code from the authenticator app. Returns the recovery
+//          codes (shown only here) and logs out the user's other sessions.
+// @access  Private
+router.post('/confirm', [
+    body('code')
+        .isString()
+        .trim()
+        .notEmpty()
+        .withMessage('Code is required')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const twoFactor = req.user.twoFactor;
+        if (twoFactor.enabled) {
+            return res.status(400).json({
+                message: 'Two-factor authentication is already enabled',
+                error: 'TWO_FACTOR_ALREADY_ENABLED'
+            });
+        }
+        if (!twoFactor.pendingSecret) {
+            return res.status(400).json({
+                message: 'Start two-factor setup first',
+                error: 'TWO_FACTOR_SETUP_REQUIRED'
+            });
+        }
+
+        const step = verifyEnrollmentCode(req.user, req.body.code);
+        if (step === null) {
+            return res.status(400).json({
+                message: 'Invalid two-factor authentication code',
+                error: 'INVALID_TWO_FACTOR_CODE'
+            });
+        }
+
+        const { codes, stored } = generateRecoveryCodes();
+        twoFactor.enabled = true;
+        twoFactor.secret = twoFactor.pendingSecret;
+        twoFactor.pendingSecret = undefined;
+        twoFactor.enabledAt = new Date();
+        twoFactor.lastUsedStep = step;
+        twoFactor.recoveryCodes = stored;
+        await req.user.save();
+
+        const revokedSessions = await revokeAllSessions(req.user._id, 'two_factor_enabled', { except: req.authSession._id });
+
+        res.json({
+            message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+            recoveryCodes: codes,
+            revokedSessions,
+            twoFactor: twoFactorStatus(req.user)
+        });
+    } catch (error) {
+        console.error('Two-factor confirm error:', error);
+        res.status(500).json({
+            message: 'Server error',
+            error: 'TWO_FACTOR_CONFIRM_ERROR'
+        });
+    }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace all recovery codes, confirmed with a code from the authenticator app
+// @access  Private
+router.post('/recovery-codes', [
+    body('code')
+        .isString()
+        .trim()
+        .notEmpty()
+        .withMessage('Code is required')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        if (!req.user.twoFactor.enabled) {
+            return res.status(400).json({
+                message: 'Two-factor authentication is not enabled',
+                error: 'TWO_FACTOR_NOT_ENABLED'
+            });
+        }
+
+        const method = await consumeTwoFactorCode(req.user, req.body.code, { allowRecovery: false });
+        if (!method) {
+            return res.status(400).json({
+                message: 'Invalid two-factor authentication code',
+                error: 'INVALID_TWO_FACTOR_CODE'
+            });
+        }
+
+        const { codes, stored } = generateRecoveryCodes();
+        req.user.twoFactor.recoveryCodes = stored;
+        await req.user.save();
+
+        res.json({
+            message: 'Recovery codes regenerated. Earlier codes no longer work.',
+            recoveryCodes: codes
+        });
+    } catch (error) {
+        console.error('Regenerate recovery codes error:', error);
+        res.status(500).json({
+            message: 'Server error',
+            error: 'RECOVERY_CODES_ERROR'
+        });
+    }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn two-factor authentication off. Requires the password and a code from the
+//          authenticator app or a recovery code.
+// @access  Private
+router.post('/disable', [
+    body('password')
+        .notEmpty()
+        .withMessage('Password is required'),
+    body('code')
+        .isString()
+        .trim()
+        .notEmpty()
+        .withMessage('Code is required')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        if (!req.user.twoFactor.enabled) {
+            return res.status(400).json({
+                message: 'Two-factor authentication is not enabled',
+                error: 'TWO_FACTOR_NOT_ENABLED'
+            });
+        }
+
+        const isPasswordValid = await req.user.comparePassword(req.body.password);
+        if (!isPasswordValid) {
+            return res.status(400).json({
+                message: 'Password is incorrect',
+                error: 'INVALID_PASSWORD'
+            });
+        }
+
+        const method = await consumeTwoFactorCode(req.user, req.body.code);
+        if (!method) {
+            return res.status(400).json({
+                message: 'Invalid two-factor authentication code',
+                error: 'INVALID_TWO_FACTOR_CODE'
+            });
+        }
+
+        req.user.twoFactor = { enabled: false, recoveryCodes: [] };
+        await req.user.save();
+
+        res.json({
+            message: 'Two-factor authentication disabled',
+            twoFactor: twoFactorStatus(req.user)
+        });
+    } catch (error) {
+        console.error('Two-factor disable error:', error);
+        res.status(500).json({
+            message: 'Server error',
+            error: 'TWO_FACTOR_DISABLE_ERROR'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,434 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const auth = require('../middleware/auth');
+const { paginate, MAX_LIMIT } = require('../utils/pagination');
+const { TASK_EVENTS } = require('../utils/taskEvents');
+const { generateSecret, dispatchDelivery } = require('../utils/webhooks');
+const { assertPublicUrl } = require('../utils/outboundUrls');
+
+const router = express.Router();
+
+// Apply auth middleware to all routes
+router.use(auth);
+
+const MAX_WEBHOOKS = 10;
+
+// Hosts without a TLD pass the format check, but like local and other internal receivers
+// (http://localhost:4000/hook) they are only accepted with ALLOW_PRIVATE_WEBHOOK_URLS=true
+const urlValidator = (chain) => chain
+    .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+    .withMessage('URL must be a valid http(s) URL')
+    .bail()
+    .custom(value => assertPublicUrl(value));
+
+const eventValidators = (optional) => [
+    (optional ? body('events').optional() : body('events'))
+        .isArray({ min: 1 })
+        .withMessage('Events must be a non-empty list'),
+    body('events.*')
+        .isIn(TASK_EVENTS)
+        .withMessage(`Each event must be one of: ${TASK_EVENTS.join(', ')}`)
+];
+
+// @route   GET /api/webhooks
+// @desc    Get the webhooks of the authenticated user
+// @access  Private
+router.get('/', async (req, res) => {
+    try {
+        const webhooks = await Webhook.find({ user: req.user._id }).sort({ createdAt: -1 });
+
+        res.json({
+            webhooks,
+            events: TASK_EVENTS
+        });
+    } catch (error) {
+        console.error('Get webhooks error:', error);
+        res.status(500).json({
+            message: 'Server error',
+            error: 'GET_WEBHOOKS_ERROR'
+        });
+    }
+});
+
+// @route   POST /api/webhooks
+// @desc    Register a webhook. The signing secret is only returned in this response.
+// @access  Private
+router.post('/', [
+    urlValidator(body('url')),
+    ...eventValidators(false),
+    body('description')
+        .optional()
+        .isString()
+        .isLength({ max: 200 })
+        .withMessage('Description cannot exceed 200 characters')
+        .trim()
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const count = await Webhook.countDocuments({ user: req.user._id });
+        if (count >= MAX_WEBHOOKS) {
+            return res.status(400).json({
+                message: `You cannot register more than ${MAX_WEBHOOKS} webhooks`,
+                error: 'WEBHOOK_LIMIT_REACHED'
+            });
+        }
+
+        const { url, events, description } = req.body;
+        const secret = generateSecret();
+
+        const webhook = new Webhook({
+            user: req.user._id,
+            url,
+            events: [...new Set(events)],
+            description,
+            secret
+        });
+
+        await webhook.save();
+
+        res.status(201).json({
+            message: 'Webhook created successfully',
+            webhook,
+            secret
+        });
+    } catch (error) {
+        console.error('Create webhook error:', error);
+        res.status(500).json({
+            message: 'Server error',
+            error: 'CREATE_WEBHOOK_ERROR'
+        });
+    }
+});
+
+// @route   GET /api/webhooks/:id
+// @desc    Get a webhook
+// @access  Private
+router.get('/:id', async (req, res) => {
+    try {
+        const webhook = await Webhook.findOne({
+            _id: req.params.id,
+            user: req.user._id
+        });
+
+        if (!webhook) {
+            return res.status(404).json({
+                message: 'Webhook not found',
+                error: 'WEBHOOK_NOT_FOUND'
+            });
+        }
+
+        res.json({ webhook });
+    } catch (error) {
+        console.error('Get webhook error:', error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({
+                message: 'Invalid webhook ID',
+                error: 'INVALID_WEBHOOK_ID'
+            });
+        }
+        res.status(500).json({
+            message: 'Server error',
+            error: 'GET_WEBHOOK_ERROR'
+        });
+    }
+});
+
+// @route   PUT /api/webhooks/:id
+// @desc    Update a webhook. Setting active to true re-enables a disabled endpoint.
+// @access  Private
+router.put('/:id', [
+    urlValidator(body('url').optional()),
+    ...eventValidators(true),
+    body('description')
+        .optional()
+        .isString()
+        .isLength({ max: 200 })
+        .withMessage('Description cannot exceed 200 characters')
+        .trim(),
+    body('active')
+        .optional()
+        .isBoolean()
+        .withMessage('Active must be a boolean')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const webhook = await Webhook.findOne({
+            _id: req.params.id,
+            user: req.user._id
+        });
+
+        if (!webhook) {
+            return res.status(404).json({
+                message: 'Webhook not found',
+                error: 'WEBHOOK_NOT_FOUND'
+            });
+        }
+
+        const { url, events, description, active } = req.body;
+        if (url !== undefined) webhook.url = url;
+        if (events !== undefined) webhook.events = [...new Set(events)];
+        if (description !== undefined) webhook.description = description;
+        if (active !== undefined && active !== webhook.active) {
+            webhook.active = active;
+            if (active) {
+                webhook.consecutiveFailures = 0;
+                webhook.disabledAt = undefined;
+                webhook.disabledReason = undefined;
+            } else {
+                webhook.disabledAt = new Date();
+                webhook.disabledReason = 'Disabled by user';
+            }
+        }
+
+        await webhook.save();
+
+        res.json({
+            message: 'Webhook updated successfully',
+            webhook
+        });
+    } catch (error) {
+        console.error('Update webhook error:', error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({
+                message: 'Invalid webhook ID',
+                error: 'INVALID_WEBHOOK_ID'
+            });
+        }
+        res.status(500).json({
+            message: 'Server error',
+            error: 'UPDATE_WEBHOOK_ERROR'
+        });
+    }
+});
+
+// @route   DELETE /api/webhooks/:id
+// @desc    Delete a webhook and its delivery log
+// @access  Private
+router.delete('/:id', async (req, res) => {
+    try {
+        const webhook = await Webhook.findOne({
+            _id: req.params.id,
+            user: req.user._id
+        });
+
+        if (!webhook) {
+            return res.status(404).json({
+                message: 'Webhook not found',
+                error: 'WEBHOOK_NOT_FOUND'
+            });
+        }
+
+        await WebhookDelivery.deleteMany({ webhook: webhook._id });
+        await webhook.deleteOne();
+
+        res.json({
+            message: 'Webhook deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete webhook error:', error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({
+                message: 'Invalid webhook ID',
+                error: 'INVALID_WEBHOOK_ID'
+            });
+        }
+        res.status(500).json({
+            message: 'Server error',
+            error: 'DELETE_WEBHOOK_ERROR'
+        });
+    }
+});
+
+// @route   POST /api/webhooks/:id/rotate-secret
+// @desc    Replace the signing secret; the new secret is only returned in this response
+// @access  Private
+router.post('/:id/rotate-secret', async (req, res) => {
+    try {
+        const webhook = await Webhook.findOne({
+            _id: req.params.id,
+            user: req.user._id
+        });
+
+        if (!webhook) {
+            return res.status(404).json({
+                message: 'Webhook not found',
+                error: 'WEBHOOK_NOT_FOUND'
+            });
+        }
+
+        const secret = generateSecret();
+        webhook.secret = secret;
+        await webhook.save();
+
+        res.json({
+            message: 'Webhook secret rotated successfully',
+            webhook,
+            secret
+        });
+    } catch (error) {
+        console.error('Rotate webhook secret error:', error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({
+                message: 'Invalid webhook ID',
+                error: 'INVALID_WEBHOOK_ID'
+            });
+        }
+        res.status(500).json({
+            message: 'Server error',
+            error: 'ROTATE_WEBHOOK_SECRET_ERROR'
+        });
+    }
+});
+
+// @route   GET /api/webhooks/:id/deliveries
+// @desc    Get the delivery log of a webhook, newest first
+// @access  Private
+router.get('/:id/deliveries', [
+    query('status')
+        .optional()
+        .isIn(['pending', 'success', 'failed'])
+        .withMessage('Status must be one of: pending, success, failed'),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: MAX_LIMIT })
+        .withMessage(`Limit must be between 1 and ${MAX_LIMIT}`),
+    query('cursor')
+        .optional()
+        .isString()
+        .notEmpty()
+        .withMessage('Cursor must be a non-empty string')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const webhook = await Webhook.findOne({
+            _id: req.params.id,
+            user: req.user._id
+        });
+
+        if (!webhook) {
+            return res.status(404).json({
+                message: 'Webhook not found',
+                error: 'WEBHOOK_NOT_FOUND'
+            });
+        }
+
+        const { status, limit, cursor } = req.query;
+        const filter = { webhook: webhook._id };
+        if (status) filter.status = status;
+
+        const { items: deliveries, pagination } = await paginate(WebhookDelivery, filter, {
+            sortBy: 'createdAt',
+            direction: -1,
+            limit,
+            cursor
+        });
+
+        res.json({
+            deliveries,
+            pagination
+        });
+    } catch (error) {
+        console.error('Get webhook deliveries error:', error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({
+                message: 'Invalid webhook ID',
+                error: 'INVALID_WEBHOOK_ID'
+            });
+        }
+        if (error.code === 'INVALID_CURSOR') {
+            return res.status(400).json({
+                message: 'Invalid pagination cursor',
+                error: 'INVALID_CURSOR'
+            });
+        }
+        res.status(500).json({
+            message: 'Server error',
+            error: 'GET_WEBHOOK_DELIVERIES_ERROR'
+        });
+    }
+});
+
+// @route   POST /api/webhooks/:id/deliveries/:deliveryId/replay
+// @desc    Send a logged delivery again with its original payload, as a new delivery
+// @access  Private
+router.post('/:id/deliveries/:deliveryId/replay', async (req, res) => {
+    try {
+        const webhook = await Webhook.findOne({
+            _id: req.params.id,
+            user: req.user._id
+        });
+
+        if (!webhook) {
+            return res.status(404).json({
+                message: 'Webhook not found',
+                error: 'WEBHOOK_NOT_FOUND'
+            });
+        }
+
+        const original = await WebhookDelivery.findOne({
+            _id: req.params.deliveryId,
+            webhook: webhook._id
+        });
+
+        if (!original) {
+            return res.status(404).json({
+                message: 'Delivery not found',
+                error: 'DELIVERY_NOT_FOUND'
+            });
+        }
+
+        if (!webhook.active) {
+            return res.status(400).json({
+                message: 'Enable the webhook before replaying deliveries',
+                error: 'WEBHOOK_DISABLED'
+            });
+        }
+
+        const delivery = await dispatchDelivery(webhook, original.event, original.payload, original._id);
+
+        res.status(201).json({
+            message: 'Delivery replayed',
+            delivery
+        });
+    } catch (error) {
+        console.error('Replay webhook delivery error:', error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({
+                message: 'Invalid ID',
+                error: 'INVALID_ID'
+            });
+        }
+        res.status(500).json({
+            message: 'Server error',
+            error: 'REPLAY_WEBHOOK_DELIVERY_ERROR'
+        });
+    }
+});
+
+module.exports = router;
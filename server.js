@@ -8,10 +8,34 @@ dotenv.config({ path: './config.env' });
 
 // Import routes
 const authRoutes = require('./routes/auth');
+const twoFactorRoutes = require('./routes/twoFactor');
+const apiKeyRoutes = require('./routes/apiKeys');
 const taskRoutes = require('./routes/tasks');
+const projectRoutes = require('./routes/projects');
+const activityRoutes = require('./routes/activity');
+const tagRoutes = require('./routes/tags');
+const notificationRoutes = require('./routes/notifications');
+const webhookRoutes = require('./routes/webhooks');
+const calendarRoutes = require('./routes/calendar');
+const syncRoutes = require('./routes/sync');
+const adminRoutes = require('./routes/admin');
+const { purgeExpiredTrash } = require('./utils/trash');
+const { runReminderSweep } = require('./utils/reminders');
+const { startWebhookDelivery, processDueDeliveries } = require('./utils/webhooks');
+const { promoteConfiguredAdmins } = require('./utils/admin');
+const { authIpLimiter, apiIpLimiter } = require('./middleware/rateLimit');
 
 const app = express();
 
+// Run queries inside connection.transaction() in that transaction without passing sessions around
+mongoose.set('transactionAsyncLocalStorage', true);
+
+// Behind a reverse proxy, per-IP rate limits need the client IP from X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+    const hops = parseInt(process.env.TRUST_PROXY, 10);
+    app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // Middleware
 app.use(cors({
     origin: '*'
@@ -21,12 +45,80 @@ app.use(express.urlencoded({ extended: true }));
 
 // Database connection
 mongoose.connect(process.env.MONGODB_URI)
-    .then(() => console.log('✅ Connected to MongoDB'))
+    .then(() => {
+        console.log('✅ Connected to MongoDB');
+        promoteConfiguredAdmins()
+            .then(count => count && console.log(`🛡️  Granted the admin role to ${count} user(s) from ADMIN_EMAILS`))
+            .catch(err => console.error('❌ Admin promotion error:', err));
+        startTrashPurge();
+        startReminderScheduler();
+        startWebhookDispatcher();
+    })
     .catch(err => console.error('❌ MongoDB connection error:', err));
 
+// Periodically purge tasks that have outlived the trash retention period
+const TRASH_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+function startTrashPurge() {
+    const purge = () => purgeExpiredTrash()
+        .then(count => count && console.log(`🗑️  Purged ${count} expired task(s) from trash`))
+        .catch(err => console.error('❌ Trash purge error:', err));
+
+    purge();
+    setInterval(purge, TRASH_PURGE_INTERVAL_MS);
+}
+
+// Periodically create due-date reminders and overdue notifications
+const REMINDER_INTERVAL_MS = parseInt(process.env.REMINDER_INTERVAL_MS, 10) || 60 * 1000;
+
+function startReminderScheduler() {
+    let running = false;
+    const sweep = () => {
+        // Skip a tick if the previous sweep is still delivering
+        if (running) return;
+        running = true;
+        runReminderSweep()
+            .then(count => count && console.log(`🔔 Created ${count} notification(s)`))
+            .catch(err => console.error('❌ Reminder sweep error:', err))
+            .finally(() => { running = false; });
+    };
+
+    sweep();
+    setInterval(sweep, REMINDER_INTERVAL_MS);
+}
+
+// Deliver task events to webhooks and retry failed deliveries once their backoff has elapsed
+const WEBHOOK_RETRY_INTERVAL_MS = 15 * 1000;
+
+function startWebhookDispatcher() {
+    startWebhookDelivery();
+
+    let running = false;
+    const retry = () => {
+        if (running) return;
+        running = true;
+        processDueDeliveries()
+            .catch(err => console.error('❌ Webhook retry error:', err))
+            .finally(() => { running = false; });
+    };
+
+    retry();
+    setInterval(retry, WEBHOOK_RETRY_INTERVAL_MS);
+}
+
 // Routes
-app.use('/api/auth', authRoutes);
-app.use('/api/tasks', taskRoutes);
+app.use('/api/auth/2fa', authIpLimiter, twoFactorRoutes);
+app.use('/api/auth/api-keys', authIpLimiter, apiKeyRoutes);
+app.use('/api/auth', authIpLimiter, authRoutes);
+app.use('/api/tasks', apiIpLimiter, taskRoutes);
+app.use('/api/projects', projectRoutes);
+app.use('/api/activity', activityRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/sync', syncRoutes);
+app.use('/api/admin', apiIpLimiter, adminRoutes);
 
 // Health check route
 app.get('/api/health', (req, res) => {
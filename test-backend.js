@@ -99,6 +99,105 @@ async function testBackend() {
         console.log('   Tasks with "In Progress" status:', filterResponse.data.tasks.length);
         console.log('');
 
+        // Test 9: Conditional GET
+        console.log('9️⃣ Testing Conditional GET (If-None-Match)...');
+        const getTaskResponse = await axios.get(`${API_BASE_URL}/tasks/${taskId}`, {
+            headers: { Authorization: `Bearer ${token}` }
+        });
+        const etag = getTaskResponse.headers.etag;
+        const notModifiedResponse = await axios.get(`${API_BASE_URL}/tasks/${taskId}`, {
+            headers: { Authorization: `Bearer ${token}`, 'If-None-Match': etag },
+            validateStatus: status => status === 304
+        });
+        console.log('✅ Unchanged task answered with', notModifiedResponse.status);
+        console.log('   ETag:', etag);
+        console.log('');
+
+        // Test 10: Concurrent writers
+        console.log('🔟 Testing Concurrent Updates (If-Match)...');
+        const writes = await Promise.all(['Writer A', 'Writer B'].map(title => axios.put(`${API_BASE_URL}/tasks/${taskId}`, {
+            title
+        }, {
+            headers: { Authorization: `Bearer ${token}`, 'If-Match': etag },
+            validateStatus: () => true
+        })));
+        const writeStatuses = writes.map(response => response.status).sort();
+        if (writeStatuses[0] !== 200 || ![409, 412].includes(writeStatuses[1])) {
+            throw new Error(`Expected one 200 and one 409/412 response, got ${writeStatuses.join(' and ')}`);
+        }
+        const rejectedWrite = writes.find(response => response.status !== 200);
+        console.log('✅ One write succeeded, the other was rejected with', rejectedWrite.status);
+        console.log('   Current title on the server:', rejectedWrite.data.task.title);
+
+        const staleStatusResponse = await axios.patch(`${API_BASE_URL}/tasks/${taskId}/status`, {
+            status: 'Completed'
+        }, {
+            headers: { Authorization: `Bearer ${token}`, 'If-Match': etag },
+            validateStatus: () => true
+        });
+        if (staleStatusResponse.status !== 412) {
+            throw new Error(`Expected 412 for a stale status update, got ${staleStatusResponse.status}`);
+        }
+        console.log('✅ Stale status update rejected with 412');
+        console.log('');
+
+        // Test 11: Completing a recurring task returns a current ETag
+        console.log('1️⃣1️⃣ Testing If-Match After Completing a Recurring Task...');
+        const recurringResponse = await axios.post(`${API_BASE_URL}/tasks`, {
+            title: 'Recurring Test Task',
+            dueDate: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+            recurrence: { frequency: 'daily' }
+        }, {
+            headers: { Authorization: `Bearer ${token}` }
+        });
+        const recurringTaskId = recurringResponse.data.task._id;
+
+        const completeResponse = await axios.patch(`${API_BASE_URL}/tasks/${recurringTaskId}/status`, {
+            status: 'Completed'
+        }, {
+            headers: { Authorization: `Bearer ${token}` }
+        });
+        if (!completeResponse.data.nextOccurrence) {
+            throw new Error('Expected the next occurrence to be created');
+        }
+
+        const followUpResponse = await axios.put(`${API_BASE_URL}/tasks/${recurringTaskId}`, {
+            description: 'Edited after completion'
+        }, {
+            headers: { Authorization: `Bearer ${token}`, 'If-Match': completeResponse.headers.etag },
+            validateStatus: () => true
+        });
+        if (followUpResponse.status !== 200) {
+            throw new Error(`Expected 200 for an If-Match write with the returned ETag, got ${followUpResponse.status}`);
+        }
+        console.log('✅ Next occurrence created and the returned ETag was accepted by If-Match');
+        console.log('');
+
+        // Test 12: CSV export neutralizes formulas
+        console.log('1️⃣2️⃣ Testing CSV Export Formula Escaping...');
+        const formulaTitles = ['=1+1', '-2+3+cmd|\' /C calc\'!A0', '@SUM(A1:A2)'];
+        for (const title of formulaTitles) {
+            await axios.post(`${API_BASE_URL}/tasks`, {
+                title,
+                dueDate: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
+            }, {
+                headers: { Authorization: `Bearer ${token}` }
+            });
+        }
+        const csvResponse = await axios.get(`${API_BASE_URL}/tasks/export`, {
+            params: { format: 'csv' },
+            headers: { Authorization: `Bearer ${token}` },
+            responseType: 'text'
+        });
+        const csvCells = csvResponse.data.split('\r\n').map(line => line.split(',')[1]);
+        for (const title of formulaTitles) {
+            if (!csvCells.includes(`'${title}`)) {
+                throw new Error(`Expected "${title}" to be exported with a leading quote`);
+            }
+        }
+        console.log('✅ Titles starting with =, - and @ were exported with a leading quote');
+        console.log('');
+
         console.log('🎉 All backend tests passed successfully!');
         console.log('🚀 Backend is ready for production use.');
         console.log('');
@@ -108,6 +207,7 @@ async function testBackend() {
         console.log('   ✅ JWT-based authentication');
         console.log('   ✅ CRUD operations on tasks');
         console.log('   ✅ Task filtering by status');
+        console.log('   ✅ Conditional requests and optimistic concurrency');
         console.log('   ✅ Proper error handling and HTTP status codes');
 
     } catch (error) {
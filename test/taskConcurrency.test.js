@@ -0,0 +1,90 @@
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+
+require('dotenv').config({ path: path.join(__dirname, '..', 'config.env') });
+
+const User = require('../models/User');
+const taskRoutes = require('../routes/tasks');
+const { createSession } = require('../utils/tokens');
+
+// Same setup as server.js, without rate limits or the background schedulers
+mongoose.set('transactionAsyncLocalStorage', true);
+const app = express();
+app.use(express.json());
+app.use('/api/tasks', taskRoutes);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Two concurrent writers using the same version: one succeeds, the other is told its copy is
+// stale, either before saving (412) or because the other save won the race (409)
+const assertOneWinner = (responses) => {
+    const statuses = responses.map(response => response.status).sort();
+    assert.equal(statuses[0], 200, `expected one 200, got ${statuses.join(', ')}`);
+    assert.ok([409, 412].includes(statuses[1]), `expected a 409 or 412, got ${statuses.join(', ')}`);
+
+    const loser = responses.find(response => response.status !== 200);
+    assert.ok(['VERSION_CONFLICT', 'PRECONDITION_FAILED'].includes(loser.body.error));
+    assert.equal(loser.headers.etag, responses.find(response => response.status === 200).headers.etag);
+};
+
+describe('concurrent task writes', () => {
+    let replSet;
+    let token;
+
+    before(async () => {
+        replSet = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
+        await mongoose.connect(replSet.getUri());
+
+        const user = await User.create({ username: 'writer', email: 'writer@example.com', password: 'Password123' });
+        ({ token } = await createSession(user, { get: () => 'node-test', ip: '127.0.0.1' }));
+    });
+
+    after(async () => {
+        await mongoose.disconnect();
+        if (replSet) await replSet.stop();
+    });
+
+    const createTask = async () => {
+        const response = await request(app)
+            .post('/api/tasks')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ title: 'Shared task', dueDate: new Date(Date.now() + DAY_MS).toISOString() })
+            .expect(201);
+        return { id: response.body.task._id, etag: `"${response.body.task.etag}"` };
+    };
+
+    const put = (id, etag, title) => request(app)
+        .put(`/api/tasks/${id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .set('If-Match', etag)
+        .send({ title });
+
+    const patchStatus = (id, etag, status) => request(app)
+        .patch(`/api/tasks/${id}/status`)
+        .set('Authorization', `Bearer ${token}`)
+        .set('If-Match', etag)
+        .send({ status });
+
+    it('accepts one of two concurrent PUTs with the same If-Match', async () => {
+        const { id, etag } = await createTask();
+        assertOneWinner(await Promise.all([put(id, etag, 'First'), put(id, etag, 'Second')]));
+    });
+
+    it('accepts one of two concurrent status PATCHes with the same If-Match', async () => {
+        const { id, etag } = await createTask();
+        assertOneWinner(await Promise.all([
+            patchStatus(id, etag, 'In Progress'),
+            patchStatus(id, etag, 'Completed')
+        ]));
+    });
+
+    it('accepts one of a concurrent PUT and status PATCH with the same If-Match', async () => {
+        const { id, etag } = await createTask();
+        assertOneWinner(await Promise.all([put(id, etag, 'Renamed'), patchStatus(id, etag, 'Completed')]));
+    });
+});
@@ -0,0 +1,32 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { exportTasks, parseImportRows } = require('../utils/taskTransfer');
+
+describe('CSV export and import', () => {
+    it('escapes formula prefixes on export and restores the text on import', () => {
+        const titles = ['=1+1', '+call', '-follow up', '@SUM(A1:A2)', '\tindented', 'Plain title', "'quoted"];
+        const tasks = titles.map(title => ({
+            _id: '64b000000000000000000001',
+            title,
+            description: '-2+3',
+            status: 'Pending',
+            priority: 'Medium',
+            tags: ['-urgent', 'home']
+        }));
+
+        const { body } = exportTasks(tasks, 'csv');
+        assert.match(body, /^[^\r\n]*\r\n[^,]*,'=1\+1,/);
+
+        const rows = parseImportRows(body, true);
+        assert.deepEqual(rows.map(row => row.title), titles.map(title => title.trim()));
+        rows.forEach(row => {
+            assert.equal(row.description, '-2+3');
+            assert.deepEqual(row.tags, ['-urgent', 'home']);
+        });
+    });
+
+    it('keeps a leading quote that does not escape a formula', () => {
+        const rows = parseImportRows("title\r\n'quoted\r\n''=kept\r\n", true);
+        assert.deepEqual(rows.map(row => row.title), ["'quoted", "''=kept"]);
+    });
+});
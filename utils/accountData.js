@@ -0,0 +1,125 @@
+const Task = require('../models/Task');
+const TaskSeries = require('../models/TaskSeries');
+const TaskActivity = require('../models/TaskActivity');
+const Project = require('../models/Project');
+const Tag = require('../models/Tag');
+const Notification = require('../models/Notification');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const UserToken = require('../models/UserToken');
+const SyncMutation = require('../models/SyncMutation');
+const ApiKey = require('../models/ApiKey');
+
+/**
+ * Everything stored about a user, for a data export. Secrets (password hash,
+ * token and API key hashes, webhook secrets) are left out.
+ */
+const exportUserData = async (user) => {
+    const userId = user._id;
+    const [tasks, series, projects, tags, notifications, webhooks, apiKeys, sessions, activity] = await Promise.all([
+        Task.find({ user: userId }).sort({ createdAt: 1 }),
+        TaskSeries.find({ user: userId }).sort({ createdAt: 1 }),
+        Project.find({ 'members.user': userId }).sort({ createdAt: 1 }),
+        Tag.find({ user: userId }).sort({ name: 1 }),
+        Notification.find({ user: userId }).sort({ createdAt: 1 }),
+        Webhook.find({ user: userId }).sort({ createdAt: 1 }),
+        ApiKey.find({ user: userId }).sort({ createdAt: 1 }),
+        Session.find({ user: userId }).sort({ createdAt: 1 }),
+        TaskActivity.find({ actor: userId }).sort({ createdAt: 1 })
+    ]);
+
+    return {
+        exportedAt: new Date().toISOString(),
+        profile: user.toJSON(),
+        tasks,
+        series,
+        projects: projects.map(project => ({
+            _id: project._id,
+            name: project.name,
+            description: project.description,
+            role: project.getRole(userId),
+            joinedAt: project.members.find(m => m.user.equals(userId)).joinedAt
+        })),
+        tags,
+        notifications,
+        webhooks,
+        apiKeys,
+        sessions: sessions.map(session => ({
+            _id: session._id,
+            userAgent: session.userAgent,
+            ip: session.ip,
+            createdAt: session.createdAt,
+            lastUsedAt: session.lastUsedAt,
+            revokedAt: session.revokedAt
+        })),
+        activity
+    };
+};
+
+// Shared projects the user is the only owner of; these need another owner before the account can go
+const soleOwnedSharedProjects = async (userId) => {
+    const projects = await Project.find({ members: { $elemMatch: { user: userId, role: 'owner' } } });
+    return projects.filter(project => project.ownerCount() === 1 && project.members.length > 1);
+};
+
+/**
+ * Delete a user and their data. Personal tasks and projects where the user is the only
+ * member are deleted; the user's tasks in shared projects stay with the project and are
+ * handed to one of its owners. Steps are idempotent, so a failed deletion can be retried.
+ * @returns {Promise<{ deletedTasks: number, deletedProjects: number }>}
+ */
+const deleteUserData = async (user) => {
+    const userId = user._id;
+    let deletedTasks = 0;
+    let deletedProjects = 0;
+
+    // Log out everywhere first so nothing is written while the data is removed
+    await Session.deleteMany({ user: userId });
+    await RefreshToken.deleteMany({ user: userId });
+    await ApiKey.deleteMany({ user: userId });
+
+    const projects = await Project.find({ 'members.user': userId });
+    for (const project of projects) {
+        const remaining = project.members.filter(m => !m.user.equals(userId));
+        if (!remaining.length) {
+            deletedTasks += (await Task.deleteMany({ project: project._id })).deletedCount;
+            await TaskSeries.deleteMany({ project: project._id });
+            await project.deleteOne();
+            deletedProjects++;
+            continue;
+        }
+
+        project.members = remaining;
+        await project.save();
+
+        const newOwner = remaining.find(m => m.role === 'owner').user;
+        await Task.updateMany({ project: project._id, user: userId }, { user: newOwner });
+        await TaskSeries.updateMany({ project: project._id, user: userId }, { user: newOwner });
+    }
+
+    deletedTasks += (await Task.deleteMany({ user: userId, project: null })).deletedCount;
+    await TaskSeries.deleteMany({ user: userId, project: null });
+    await Task.updateMany({ assignees: userId }, { $pull: { assignees: userId } });
+
+    await Promise.all([
+        TaskActivity.deleteMany({ owner: userId, project: null }),
+        Tag.deleteMany({ user: userId }),
+        Notification.deleteMany({ user: userId }),
+        Webhook.deleteMany({ user: userId }),
+        WebhookDelivery.deleteMany({ user: userId }),
+        UserToken.deleteMany({ user: userId }),
+        SyncMutation.deleteMany({ user: userId })
+    ]);
+
+    await user.deleteOne();
+
+    return { deletedTasks, deletedProjects };
+};
+
+module.exports = {
+    exportUserData,
+    soleOwnedSharedProjects,
+    deleteUserData
+};
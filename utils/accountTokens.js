@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+const UserToken = require('../models/UserToken');
+const { hashToken } = require('./tokens');
+const { sendMail } = require('./mailer');
+
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60;
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 48;
+const TWO_FACTOR_CHALLENGE_TTL_SECONDS = 5 * 60;
+
+const TOKEN_TTL_MS = {
+    password_reset: PASSWORD_RESET_TTL_MINUTES * 60 * 1000,
+    email_verification: EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000,
+    two_factor_challenge: TWO_FACTOR_CHALLENGE_TTL_SECONDS * 1000
+};
+
+// Links in emails point at the client app, which posts the token back to the API
+const appLink = (path, token) => {
+    const base = (process.env.APP_URL || 'http://localhost:5173').replace(/\/$/, '');
+    return `${base}${path}?token=${encodeURIComponent(token)}`;
+};
+
+// Issue a new token for the purpose, invalidating the user's earlier ones, and return the raw value
+const issueUserToken = async (userId, purpose) => {
+    await UserToken.deleteMany({ user: userId, purpose, usedAt: null });
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    await UserToken.create({
+        tokenHash: hashToken(token),
+        user: userId,
+        purpose,
+        expiresAt: new Date(Date.now() + TOKEN_TTL_MS[purpose])
+    });
+    return token;
+};
+
+// Mark a token used and return it, or null if it is unknown, expired or already used.
+// The claim is atomic so a token can't be redeemed twice concurrently.
+const consumeUserToken = async (token, purpose) => {
+    return await UserToken.findOneAndUpdate(
+        { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+        { usedAt: new Date() },
+        { new: true }
+    );
+};
+
+// Look up a usable token without using it up
+const findUserToken = async (token, purpose) => {
+    return await UserToken.findOne({ tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: new Date() } });
+};
+
+// Count a failed attempt on a token; after maxAttempts the token stops working
+const recordTokenFailure = async (stored, maxAttempts) => {
+    const updated = await UserToken.findOneAndUpdate({ _id: stored._id }, { $inc: { attempts: 1 } }, { new: true });
+    if (updated && updated.attempts >= maxAttempts) {
+        await UserToken.updateOne({ _id: stored._id, usedAt: null }, { usedAt: new Date() });
+    }
+};
+
+// Verifies a pending email change when there is one, otherwise the current address
+const sendVerificationEmail = async (user) => {
+    const token = await issueUserToken(user._id, 'email_verification');
+    await sendMail({
+        to: user.pendingEmail || user.email,
+        subject: 'Verify your email address',
+        text: `Hi ${user.username},\n\nConfirm your email address by opening this link:\n${appLink('/verify-email', token)}\n\n`
+            + `The link expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours.`
+    });
+};
+
+const sendPasswordResetEmail = async (user) => {
+    const token = await issueUserToken(user._id, 'password_reset');
+    await sendMail({
+        to: user.email,
+        subject: 'Reset your password',
+        text: `Hi ${user.username},\n\nSomeone asked to reset your password. To choose a new one, open this link:\n`
+            + `${appLink('/reset-password', token)}\n\nThe link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes. `
+            + 'If you didn\'t ask for this, you can ignore this email.'
+    });
+};
+
+const sendPasswordChangedEmail = async (user) => {
+    await sendMail({
+        to: user.email,
+        subject: 'Your password was changed',
+        text: `Hi ${user.username},\n\nThe password of your account was just changed. `
+            + 'If this wasn\'t you, reset your password right away.'
+    });
+};
+
+module.exports = {
+    TWO_FACTOR_CHALLENGE_TTL_SECONDS,
+    issueUserToken,
+    consumeUserToken,
+    findUserToken,
+    recordTokenFailure,
+    sendVerificationEmail,
+    sendPasswordResetEmail,
+    sendPasswordChangedEmail
+};
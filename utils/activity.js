@@ -0,0 +1,41 @@
+const TaskActivity = require('../models/TaskActivity');
+
+// Compare the task's current tracked fields with the values it was loaded with
+const diffTask = (task) => {
+    const before = task.$locals.original || {};
+    const after = task.snapshot();
+    return Object.keys(after)
+        .filter(field => JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field]))
+        .map(field => ({ field, from: before[field] ?? null, to: after[field] }));
+};
+
+/**
+ * Append an activity entry for a task.
+ * Unless `changes` are given they are diffed against the values the task was loaded with;
+ * the task's baseline is then reset so the next entry only sees newer changes.
+ * Updates that changed nothing are not recorded.
+ */
+const recordActivity = async (task, actorId, action, { changes, meta } = {}) => {
+    const entryChanges = changes || (action === 'created' || action === 'deleted' ? [] : diffTask(task));
+    task.$locals.original = task.snapshot();
+
+    if (['updated', 'status_changed'].includes(action) && entryChanges.length === 0) {
+        return null;
+    }
+
+    return await TaskActivity.create({
+        task: task._id,
+        taskTitle: task.title,
+        owner: task.user._id || task.user,
+        project: task.project ? (task.project._id || task.project) : null,
+        actor: actorId,
+        action,
+        changes: entryChanges,
+        meta
+    });
+};
+
+module.exports = {
+    diffTask,
+    recordActivity
+};
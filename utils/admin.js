@@ -0,0 +1,136 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const Project = require('../models/Project');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const { STATUSES } = require('./taskFilters');
+const { pastDueFilter } = require('./timezone');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Give the admin role to the verified accounts listed in ADMIN_EMAILS (comma separated).
+ * Unverified accounts are skipped so nobody can claim a listed address by registering it.
+ */
+const promoteConfiguredAdmins = async () => {
+    const emails = (process.env.ADMIN_EMAILS || '')
+        .split(',')
+        .map(email => email.trim().toLowerCase())
+        .filter(Boolean);
+    if (!emails.length) return 0;
+
+    const result = await User.updateMany(
+        { email: { $in: emails }, emailVerified: true, role: { $ne: 'admin' } },
+        { role: 'admin' }
+    );
+    return result.modifiedCount;
+};
+
+// Filter for the admin user list: `search` matches username or email, case-insensitively
+const buildUserFilter = ({ search, role, status }) => {
+    const filter = {};
+    if (search) {
+        const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+        filter.$or = [{ username: pattern }, { email: pattern }];
+    }
+    if (role) filter.role = role;
+    if (status === 'active') filter.disabledAt = null;
+    if (status === 'disabled') filter.disabledAt = { $ne: null };
+    return filter;
+};
+
+// Number of tasks (outside the trash) each of the users owns, as a Map keyed by user ID
+const taskCountsByUser = async (userIds) => {
+    const groups = await Task.aggregate([
+        { $match: { user: { $in: userIds.map(id => new mongoose.Types.ObjectId(id)) }, deletedAt: null } },
+        { $group: { _id: '$user', count: { $sum: 1 } } }
+    ]);
+    return new Map(groups.map(group => [group._id.toString(), group.count]));
+};
+
+/**
+ * Task counts for one user's own tasks: by status, overdue (in the user's time zone)
+ * and in the trash.
+ */
+const getUserTaskCounts = async (user, now = new Date()) => {
+    const [result] = await Task.aggregate([
+        { $match: { user: user._id } },
+        {
+            $facet: {
+                byStatus: [{ $match: { deletedAt: null } }, { $group: { _id: '$status', count: { $sum: 1 } } }],
+                overdue: [
+                    { $match: { deletedAt: null, status: { $ne: 'Completed' }, ...pastDueFilter(now, user.timezone) } },
+                    { $count: 'count' }
+                ],
+                trashed: [{ $match: { deletedAt: { $ne: null } } }, { $count: 'count' }]
+            }
+        }
+    ]);
+
+    const byStatus = Object.fromEntries(STATUSES.map(status => [status, 0]));
+    result.byStatus.forEach(group => { byStatus[group._id] = group.count; });
+
+    return {
+        total: Object.values(byStatus).reduce((sum, count) => sum + count, 0),
+        byStatus,
+        overdue: result.overdue.length ? result.overdue[0].count : 0,
+        trashed: result.trashed.length ? result.trashed[0].count : 0
+    };
+};
+
+// System-wide counts of users, tasks, projects, sessions and API keys
+const getSystemStats = async (now = new Date()) => {
+    const activeKey = { revokedAt: null, $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] };
+
+    const [users, taskGroups, trashedTasks, projects, activeSessions, activeApiKeys] = await Promise.all([
+        User.aggregate([
+            {
+                $group: {
+                    _id: null,
+                    total: { $sum: 1 },
+                    admins: { $sum: { $cond: [{ $eq: ['$role', 'admin'] }, 1, 0] } },
+                    disabled: { $sum: { $cond: [{ $ne: [{ $ifNull: ['$disabledAt', null] }, null] }, 1, 0] } },
+                    emailVerified: { $sum: { $cond: ['$emailVerified', 1, 0] } },
+                    twoFactorEnabled: { $sum: { $cond: ['$twoFactor.enabled', 1, 0] } },
+                    newLast30Days: { $sum: { $cond: [{ $gte: ['$createdAt', new Date(now.getTime() - 30 * DAY_MS)] }, 1, 0] } }
+                }
+            },
+            { $project: { _id: 0 } }
+        ]),
+        Task.aggregate([
+            { $match: { deletedAt: null } },
+            { $group: { _id: '$status', count: { $sum: 1 } } }
+        ]),
+        Task.countDocuments({ deletedAt: { $ne: null } }),
+        Project.countDocuments(),
+        Session.countDocuments({ revokedAt: null, expiresAt: { $gt: now } }),
+        ApiKey.countDocuments(activeKey)
+    ]);
+
+    const userCounts = users[0]
+        || { total: 0, admins: 0, disabled: 0, emailVerified: 0, twoFactorEnabled: 0, newLast30Days: 0 };
+
+    const byStatus = Object.fromEntries(STATUSES.map(status => [status, 0]));
+    taskGroups.forEach(group => { byStatus[group._id] = group.count; });
+
+    return {
+        users: userCounts,
+        tasks: {
+            total: Object.values(byStatus).reduce((sum, count) => sum + count, 0),
+            byStatus,
+            trashed: trashedTasks
+        },
+        projects,
+        activeSessions,
+        activeApiKeys
+    };
+};
+
+module.exports = {
+    promoteConfiguredAdmins,
+    buildUserFilter,
+    taskCountsByUser,
+    getUserTaskCounts,
+    getSystemStats
+};
@@ -0,0 +1,100 @@
+const Task = require('../models/Task');
+const Tag = require('../models/Tag');
+const { findTaskWithRole, roleAtLeast } = require('./taskAccess');
+const { recordActivity } = require('./activity');
+const { generateNextOccurrence } = require('./recurrence');
+
+const BULK_LIMIT = 500;
+const BULK_OPERATIONS = ['setStatus', 'reschedule', 'delete', 'addTag'];
+
+const failure = (id, error, message) => ({ id, success: false, error, message });
+
+/**
+ * Apply one bulk operation to a single task with the same rules as the single-task routes.
+ * Never throws for a per-item problem; the outcome is returned as a result entry.
+ * Task change events are appended to `events` as [type, task, data] for the caller to publish.
+ */
+const applyBulkOperation = async (taskId, operation, userId, events = []) => {
+    const id = taskId.toString();
+    const { task, role } = await findTaskWithRole(taskId, userId);
+
+    if (!task) {
+        return failure(id, 'TASK_NOT_FOUND', 'Task not found');
+    }
+
+    if (!roleAtLeast(role, 'editor')) {
+        return failure(id, 'INSUFFICIENT_ROLE', 'You do not have permission to modify this task');
+    }
+
+    switch (operation.type) {
+    case 'setStatus': {
+        if (operation.status === 'Completed' && task.strictSubtasks && task.hasOpenSubtasks()) {
+            return failure(id, 'INCOMPLETE_SUBTASKS', 'Complete all subtasks before completing this task');
+        }
+        const previousStatus = task.status;
+        task.status = operation.status;
+        await task.save();
+        await recordActivity(task, userId, 'status_changed', { meta: { bulk: true } });
+        const nextOccurrence = await generateNextOccurrence(task, userId);
+        if (task.status !== previousStatus) events.push(['task.status_changed', task, { previousStatus }]);
+        if (nextOccurrence) events.push(['task.created', nextOccurrence]);
+        return { id, success: true, ...(nextOccurrence && { nextOccurrence: nextOccurrence._id }) };
+    }
+    case 'reschedule': {
+        task.dueDate = operation.dueDate;
+        await task.save();
+        await recordActivity(task, userId, 'updated', { meta: { bulk: true } });
+        events.push(['task.updated', task]);
+        return { id, success: true };
+    }
+    case 'addTag': {
+        if (!task.tags.includes(operation.tag)) {
+            if (task.tags.length >= Task.MAX_TAGS) {
+                return failure(id, 'TOO_MANY_TAGS', `A task cannot have more than ${Task.MAX_TAGS} tags`);
+            }
+            task.tags.push(operation.tag);
+            await task.save();
+            await Tag.ensureForUser(userId, [operation.tag]);
+            await recordActivity(task, userId, 'updated', { meta: { bulk: true } });
+            events.push(['task.updated', task]);
+        }
+        return { id, success: true };
+    }
+    case 'delete': {
+        task.deletedAt = new Date();
+        task.deletedBy = userId;
+        await task.save();
+        await recordActivity(task, userId, 'deleted', { meta: { bulk: true } });
+        events.push(['task.deleted', task, { permanent: false }]);
+        return { id, success: true };
+    }
+    default:
+        return failure(id, 'INVALID_OPERATION', 'Unknown bulk operation');
+    }
+};
+
+// Apply the operation to every task in order. Validation errors and version conflicts fail only their item;
+// anything else propagates so a surrounding transaction can abort or retry.
+const runBulkOperation = async (taskIds, operation, userId, events = []) => {
+    const results = [];
+    for (const taskId of taskIds) {
+        try {
+            results.push(await applyBulkOperation(taskId, operation, userId, events));
+        } catch (error) {
+            if (error.name === 'VersionError') {
+                results.push(failure(taskId.toString(), 'VERSION_CONFLICT', 'Task was modified by another request'));
+                continue;
+            }
+            if (error.name !== 'ValidationError') throw error;
+            results.push(failure(taskId.toString(), 'VALIDATION_ERROR', error.message));
+        }
+    }
+    return results;
+};
+
+module.exports = {
+    BULK_LIMIT,
+    BULK_OPERATIONS,
+    applyBulkOperation,
+    runBulkOperation
+};
@@ -0,0 +1,87 @@
+// Minimal RFC 4180 CSV reading and writing
+
+class CsvError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CsvError';
+        this.code = 'INVALID_CSV';
+    }
+}
+
+/**
+ * Parse CSV text into rows of string cells. Handles quoted cells with commas,
+ * escaped quotes ("") and line breaks, CRLF or LF line endings and a leading BOM.
+ * Blank lines are skipped.
+ */
+const parseCsv = (text) => {
+    const input = text.replace(/^\uFEFF/, '');
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    const endRow = () => {
+        row.push(cell);
+        if (row.length > 1 || row[0] !== '') rows.push(row);
+        row = [];
+        cell = '';
+    };
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            endRow();
+        } else {
+            cell += char;
+        }
+    }
+
+    if (quoted) {
+        throw new CsvError('Unterminated quoted value');
+    }
+    endRow();
+
+    return rows;
+};
+
+// Spreadsheet apps run cells starting with these as formulas (OWASP CSV injection list)
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const formatCell = (value) => {
+    if (value === null || value === undefined) return '';
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Undo formatCell's formula escaping on a parsed cell: drop the ' it put before a formula prefix
+const unescapeFormula = (cell) => {
+    return cell[0] === "'" && FORMULA_PREFIX.test(cell.slice(1)) ? cell.slice(1) : cell;
+};
+
+// Serialize rows of cells to CSV with CRLF line endings
+const toCsv = (rows) => {
+    return rows.map(row => row.map(formatCell).join(',')).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+    CsvError,
+    parseCsv,
+    toCsv,
+    unescapeFormula
+};
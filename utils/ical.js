@@ -0,0 +1,91 @@
+// iCalendar (RFC 5545) output for tasks
+
+const PRODUCT_ID = '-//Task Management App//Tasks//EN';
+
+// iCalendar priorities run from 1 (highest) to 9 (lowest)
+const PRIORITY_LEVELS = { urgent: 1, high: 3, medium: 5, low: 9 };
+const TODO_STATUSES = { Pending: 'NEEDS-ACTION', 'In Progress': 'IN-PROCESS', Completed: 'COMPLETED' };
+
+const escapeText = (value) => {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+};
+
+// UTC date-time, e.g. 20250131T143000Z
+const formatDate = (date) => {
+    return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+};
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+const foldLine = (line) => {
+    const parts = [];
+    let current = '';
+    let size = 0;
+    for (const char of line) {
+        const charSize = Buffer.byteLength(char);
+        if (size + charSize > (parts.length ? 74 : 75)) {
+            parts.push(current);
+            current = '';
+            size = 0;
+        }
+        current += char;
+        size += charSize;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+};
+
+const taskComponent = (task, component, stamp) => {
+    const lines = [
+        `BEGIN:${component}`,
+        `UID:${task._id}@task-manager`,
+        `DTSTAMP:${stamp}`
+    ];
+
+    if (component === 'VTODO') {
+        lines.push(`DUE:${formatDate(task.dueDate)}`);
+        lines.push(`STATUS:${TODO_STATUSES[task.status] || 'NEEDS-ACTION'}`);
+        if (task.completedAt) lines.push(`COMPLETED:${formatDate(task.completedAt)}`);
+    } else {
+        // Due dates show up as a point in time in calendar apps
+        lines.push(`DTSTART:${formatDate(task.dueDate)}`);
+        lines.push(`DTEND:${formatDate(task.dueDate)}`);
+        lines.push('TRANSP:TRANSPARENT');
+    }
+
+    lines.push(`SUMMARY:${escapeText(task.title)}`);
+    if (task.description) lines.push(`DESCRIPTION:${escapeText(task.description)}`);
+    if (task.priority) lines.push(`PRIORITY:${PRIORITY_LEVELS[task.priority]}`);
+    if (task.tags && task.tags.length) lines.push(`CATEGORIES:${task.tags.map(escapeText).join(',')}`);
+    if (task.updatedAt) lines.push(`LAST-MODIFIED:${formatDate(task.updatedAt)}`);
+    lines.push(`END:${component}`);
+
+    return lines;
+};
+
+/**
+ * Build an iCalendar document with one component per task, keyed by its due date.
+ * `component` is VEVENT (calendar entries) or VTODO (to-dos).
+ */
+const buildCalendar = (tasks, { name = 'Tasks', component = 'VEVENT', now = new Date() } = {}) => {
+    const stamp = formatDate(now);
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+        ...tasks.filter(task => task.dueDate).flatMap(task => taskComponent(task, component, stamp)),
+        'END:VCALENDAR'
+    ];
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+    buildCalendar
+};
@@ -0,0 +1,46 @@
+const { getRateLimitStore } = require('./rateLimitStore');
+
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD, 10) || 5;
+const LOCKOUT_BASE_MS = parseInt(process.env.LOGIN_LOCKOUT_BASE_MS, 10) || 60 * 1000;
+const LOCKOUT_MAX_MS = parseInt(process.env.LOGIN_LOCKOUT_MAX_MS, 10) || 60 * 60 * 1000;
+// Failed attempts are forgotten a day after the first one
+const FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const failureKey = (email) => `login-failures:${email}`;
+const lockKey = (email) => `login-lock:${email}`;
+
+// When the account is locked, the time the lock ends; otherwise null
+const getLoginLock = async (email) => {
+    const lock = await getRateLimitStore().get(lockKey(email));
+    return lock ? lock.resetAt : null;
+};
+
+/**
+ * Count a failed login for the email (whether or not an account exists, so locks don't
+ * reveal which emails are registered). From the threshold on, each failure locks the
+ * account again, twice as long as the previous lock.
+ * @returns {Promise<Date|null>} end of the new lock, if any
+ */
+const recordLoginFailure = async (email) => {
+    const store = getRateLimitStore();
+    const { count } = await store.increment(failureKey(email), FAILURE_WINDOW_MS);
+    if (count < LOCKOUT_THRESHOLD) return null;
+
+    const lockMs = Math.min(LOCKOUT_BASE_MS * 2 ** (count - LOCKOUT_THRESHOLD), LOCKOUT_MAX_MS);
+    await store.reset(lockKey(email));
+    const { resetAt } = await store.increment(lockKey(email), lockMs);
+    return resetAt;
+};
+
+// A successful login or password reset starts over
+const clearLoginFailures = async (email) => {
+    const store = getRateLimitStore();
+    await store.reset(failureKey(email));
+    await store.reset(lockKey(email));
+};
+
+module.exports = {
+    getLoginLock,
+    recordLoginFailure,
+    clearLoginFailures
+};
@@ -0,0 +1,38 @@
+const fs = require('fs');
+const path = require('path');
+
+// Mail transports turn a message into a delivery. Local transports make mail
+// inspectable without an SMTP server; real providers are added with registerMailTransport.
+const transports = {
+    console: async (message) => {
+        console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    },
+    file: async (message) => {
+        const file = process.env.MAIL_FILE || './logs/mail.log';
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.appendFile(file, JSON.stringify({ ...message, sentAt: new Date().toISOString() }) + '\n');
+    }
+};
+
+// Register (or replace) a mail transport, e.g. one backed by an SMTP or API provider
+const registerMailTransport = (name, send) => {
+    transports[name] = send;
+};
+
+/**
+ * Send an email through the transport named by MAIL_TRANSPORT (default: console).
+ * @param {{ to: string, subject: string, text: string, html?: string }} message
+ */
+const sendMail = async (message) => {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    const transport = transports[name];
+    if (!transport) {
+        throw new Error(`Unknown mail transport: ${name}`);
+    }
+    await transport({ from: process.env.MAIL_FROM || 'no-reply@task-manager.local', ...message });
+};
+
+module.exports = {
+    registerMailTransport,
+    sendMail
+};
@@ -0,0 +1,70 @@
+const { sendMail } = require('./mailer');
+const { fetchPublicUrl } = require('./outboundUrls');
+
+const WEBHOOK_TIMEOUT_MS = 5000;
+
+// External delivery channels. In-app notifications are always stored; these deliver
+// a copy to the channels a user opted into. Add more with registerChannel.
+const channels = {
+    email: async (notification, user) => {
+        await sendMail({
+            to: user.email,
+            subject: notification.title,
+            text: notification.message
+        });
+    },
+    webhook: async (notification, user) => {
+        const url = user.reminderSettings && user.reminderSettings.webhookUrl;
+        if (!url) {
+            throw new Error('No webhook URL configured');
+        }
+        const response = await fetchPublicUrl(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                type: notification.type,
+                title: notification.title,
+                message: notification.message,
+                task: notification.task,
+                dueDate: notification.dueDate,
+                createdAt: notification.createdAt
+            }),
+            signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+        });
+        if (!response.ok) {
+            throw new Error(`Webhook responded with ${response.status}`);
+        }
+    }
+};
+
+// Register (or replace) a delivery channel: async (notification, user) => void
+const registerChannel = (name, send) => {
+    channels[name] = send;
+};
+
+/**
+ * Deliver a notification to every channel the user opted into.
+ * Failures are logged and don't stop other channels; returns the channels that succeeded.
+ */
+const deliverNotification = async (notification, user) => {
+    const requested = (user.reminderSettings && user.reminderSettings.channels) || [];
+    const delivered = [];
+
+    for (const name of requested) {
+        const send = channels[name];
+        if (!send) continue;
+        try {
+            await send(notification, user);
+            delivered.push(name);
+        } catch (error) {
+            console.error(`Notification delivery via ${name} failed:`, error.message);
+        }
+    }
+
+    return delivered;
+};
+
+module.exports = {
+    registerChannel,
+    deliverNotification
+};
@@ -0,0 +1,103 @@
+const dns = require('dns');
+const net = require('net');
+const { Agent, fetch } = require('undici');
+
+// Error carrying an API error code, raised when a user-supplied URL may not be requested
+class OutboundUrlError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'OutboundUrlError';
+        this.code = code;
+    }
+}
+
+// Loopback, private, link-local (incl. cloud metadata at 169.254.169.254), shared, multicast
+// and reserved ranges. IPv4-mapped IPv6 addresses are checked against the IPv4 ranges.
+const blockedRanges = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => blockedRanges.addSubnet(network, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => blockedRanges.addSubnet(network, prefix, 'ipv6'));
+
+// Self-hosted setups that deliver to their own network can opt out
+const privateUrlsAllowed = () => process.env.ALLOW_PRIVATE_WEBHOOK_URLS === 'true';
+
+const isPrivateAddress = (address) => {
+    const family = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+    return blockedRanges.check(address, family);
+};
+
+/**
+ * Make sure a user-supplied URL (webhooks, notification webhooks) is http(s) and that its
+ * host resolves only to public addresses. Checked when the URL is saved and again before
+ * every request, since DNS answers can change. Throws an OutboundUrlError otherwise.
+ */
+const assertPublicUrl = async (url) => {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        throw new OutboundUrlError('URL is not valid', 'INVALID_URL');
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+        throw new OutboundUrlError('URL must use http or https', 'INVALID_URL');
+    }
+    if (privateUrlsAllowed()) return;
+
+    const host = parsed.hostname.replace(/^\[(.*)\]$/, '$1');
+    let addresses;
+    if (net.isIP(host)) {
+        addresses = [host];
+    } else {
+        try {
+            addresses = (await dns.promises.lookup(host, { all: true })).map(entry => entry.address);
+        } catch (error) {
+            throw new OutboundUrlError(`Host ${host} could not be resolved`, 'UNRESOLVABLE_URL');
+        }
+    }
+
+    if (addresses.some(isPrivateAddress)) {
+        throw new OutboundUrlError('URL must not point to a private or internal address', 'PRIVATE_URL_NOT_ALLOWED');
+    }
+};
+
+// DNS lookup for outgoing connections that refuses private addresses. The connection goes to
+// the address checked here, so a host can't pass assertPublicUrl and then resolve to an
+// internal address when the request is made (DNS rebinding).
+const publicLookup = (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+        if (!privateUrlsAllowed() && addresses.some(entry => isPrivateAddress(entry.address))) {
+            return callback(new OutboundUrlError('URL must not point to a private or internal address', 'PRIVATE_URL_NOT_ALLOWED'));
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+};
+
+const publicAgent = new Agent({ connect: { lookup: publicLookup } });
+
+/**
+ * fetch() for user-supplied URLs: checked with assertPublicUrl, connected through publicLookup
+ * and never following redirects, which could lead to an internal address.
+ * Throws the OutboundUrlError instead of fetch's generic "fetch failed" when the URL is refused.
+ */
+const fetchPublicUrl = async (url, options = {}) => {
+    await assertPublicUrl(url);
+    try {
+        return await fetch(url, { ...options, redirect: 'manual', dispatcher: publicAgent });
+    } catch (error) {
+        if (error.cause instanceof OutboundUrlError) throw error.cause;
+        throw error;
+    }
+};
+
+module.exports = {
+    OutboundUrlError,
+    isPrivateAddress,
+    assertPublicUrl,
+    fetchPublicUrl
+};
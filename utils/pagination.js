@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+
+// Fields whose cursor values must be revived as dates
+const DATE_FIELDS = ['createdAt', 'updatedAt', 'dueDate', 'completedAt', 'deletedAt'];
+
+// Encode the position of the last returned document as an opaque cursor
+const encodeCursor = (doc, sortBy) => {
+    const payload = { v: doc[sortBy] ?? null, id: doc._id.toString() };
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+// Decode a cursor, returning null when it is malformed
+const decodeCursor = (cursor, sortBy) => {
+    try {
+        const { v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (!mongoose.Types.ObjectId.isValid(id)) return null;
+
+        let value = v;
+        if (DATE_FIELDS.includes(sortBy) && value !== null && value !== undefined) {
+            value = new Date(value);
+            if (isNaN(value.getTime())) return null;
+        }
+
+        return { value, id: new mongoose.Types.ObjectId(id) };
+    } catch (error) {
+        return null;
+    }
+};
+
+// Build the keyset condition that selects documents after the cursor.
+// Ties on the sort field are broken by _id so pages stay stable across inserts.
+const cursorCondition = (sortBy, direction, { value, id }) => {
+    const op = direction === -1 ? '$lt' : '$gt';
+    return {
+        $or: [
+            { [sortBy]: { [op]: value } },
+            { [sortBy]: value, _id: { [op]: id } }
+        ]
+    };
+};
+
+/**
+ * Run a paginated find.
+ * Offset mode uses `page`/`limit`; cursor mode is used whenever `cursor` is given.
+ */
+const paginate = async (Model, filter, { sortBy, direction, limit, page, cursor, populate }) => {
+    const pageSize = Math.min(parseInt(limit, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+    const sort = { [sortBy]: direction, _id: direction };
+
+    let query = filter;
+    let currentPage = null;
+    let skip = 0;
+
+    if (cursor) {
+        const decoded = decodeCursor(cursor, sortBy);
+        if (!decoded) {
+            const error = new Error('Invalid cursor');
+            error.code = 'INVALID_CURSOR';
+            throw error;
+        }
+        query = { ...filter, $and: [...(filter.$and || []), cursorCondition(sortBy, direction, decoded)] };
+    } else {
+        currentPage = Math.max(parseInt(page, 10) || 1, 1);
+        skip = (currentPage - 1) * pageSize;
+    }
+
+    let find = Model.find(query).sort(sort).skip(skip).limit(pageSize + 1);
+    if (populate) {
+        find = find.populate(populate);
+    }
+
+    const [docs, total] = await Promise.all([
+        find,
+        Model.countDocuments(filter)
+    ]);
+
+    const hasNext = docs.length > pageSize;
+    const items = hasNext ? docs.slice(0, pageSize) : docs;
+    const nextCursor = hasNext ? encodeCursor(items[items.length - 1], sortBy) : null;
+
+    return {
+        items,
+        pagination: {
+            total,
+            page: currentPage,
+            pageSize,
+            totalPages: Math.ceil(total / pageSize),
+            hasNext,
+            nextCursor
+        }
+    };
+};
+
+module.exports = {
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    encodeCursor,
+    decodeCursor,
+    paginate
+};
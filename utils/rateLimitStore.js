@@ -0,0 +1,63 @@
+// Rate limit counters live in a store so they can be shared between server instances.
+// A store implements three async methods:
+//   increment(key, windowMs) -> { count, resetAt }   counts a hit, starting a new window when none is active
+//   get(key)                 -> { count, resetAt } | null
+//   reset(key)
+// The default store keeps counters in process memory; replace it with setRateLimitStore.
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const createMemoryStore = () => {
+    const windows = new Map();
+
+    const active = (key, now = Date.now()) => {
+        const entry = windows.get(key);
+        if (entry && entry.resetAt.getTime() <= now) {
+            windows.delete(key);
+            return null;
+        }
+        return entry || null;
+    };
+
+    // Expired windows are also dropped on access; the sweep bounds memory for keys never seen again
+    setInterval(() => {
+        const now = Date.now();
+        for (const [key, entry] of windows) {
+            if (entry.resetAt.getTime() <= now) windows.delete(key);
+        }
+    }, SWEEP_INTERVAL_MS).unref();
+
+    return {
+        async increment(key, windowMs) {
+            const entry = active(key) || { count: 0, resetAt: new Date(Date.now() + windowMs) };
+            entry.count++;
+            windows.set(key, entry);
+            return { ...entry };
+        },
+        async get(key) {
+            const entry = active(key);
+            return entry ? { ...entry } : null;
+        },
+        async reset(key) {
+            windows.delete(key);
+        }
+    };
+};
+
+let store = null;
+
+const getRateLimitStore = () => {
+    if (!store) store = createMemoryStore();
+    return store;
+};
+
+// Replace the store, e.g. with one backed by Redis when running several instances
+const setRateLimitStore = (newStore) => {
+    store = newStore;
+};
+
+module.exports = {
+    createMemoryStore,
+    getRateLimitStore,
+    setRateLimitStore
+};
@@ -0,0 +1,191 @@
+const Task = require('../models/Task');
+const TaskSeries = require('../models/TaskSeries');
+const { recordActivity } = require('./activity');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Start of the (Sunday-based) UTC week containing the date
+const startOfWeek = (date) => {
+    const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    return new Date(d.getTime() - d.getUTCDay() * DAY_MS);
+};
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+/**
+ * Compute the occurrence following `from` for a recurrence rule.
+ * Returns null once the rule's `until` date has passed.
+ * Monthly rules clamp the day to the month's length (31 -> 30, 28 or 29).
+ */
+const nextOccurrenceDate = (rule, from) => {
+    const interval = rule.interval || 1;
+    let next;
+
+    if (rule.frequency === 'daily') {
+        next = new Date(from.getTime() + interval * DAY_MS);
+    } else if (rule.frequency === 'weekly') {
+        const weekdays = rule.byWeekday && rule.byWeekday.length ? rule.byWeekday : [from.getUTCDay()];
+        const fromWeek = startOfWeek(from).getTime();
+        // Any match lies within `interval` weeks plus the rest of the current week
+        for (let i = 1; i <= 7 * (interval + 1); i++) {
+            const candidate = new Date(from.getTime() + i * DAY_MS);
+            const weeks = Math.round((startOfWeek(candidate).getTime() - fromWeek) / (7 * DAY_MS));
+            if (weeks % interval === 0 && weekdays.includes(candidate.getUTCDay())) {
+                next = candidate;
+                break;
+            }
+        }
+    } else if (rule.frequency === 'monthly') {
+        const day = rule.byMonthDay || from.getUTCDate();
+        const target = new Date(from.getTime());
+        target.setUTCDate(1);
+        target.setUTCMonth(target.getUTCMonth() + interval);
+        target.setUTCDate(Math.min(day, daysInMonth(target.getUTCFullYear(), target.getUTCMonth())));
+        next = target;
+    }
+
+    if (!next || (rule.until && next > new Date(rule.until))) {
+        return null;
+    }
+    return next;
+};
+
+// express-validator custom validator for a recurrence rule in a request body
+const validateRecurrence = (rule) => {
+    if (rule === null) return true;
+    if (typeof rule !== 'object' || Array.isArray(rule)) {
+        throw new Error('Recurrence must be an object');
+    }
+    if (!TaskSeries.FREQUENCIES.includes(rule.frequency)) {
+        throw new Error('Recurrence frequency must be one of: daily, weekly, monthly');
+    }
+    if (rule.interval !== undefined && (!Number.isInteger(rule.interval) || rule.interval < 1 || rule.interval > 365)) {
+        throw new Error('Recurrence interval must be an integer between 1 and 365');
+    }
+    if (rule.byWeekday !== undefined) {
+        if (rule.frequency !== 'weekly') {
+            throw new Error('byWeekday is only allowed for weekly recurrence');
+        }
+        if (!Array.isArray(rule.byWeekday) || !rule.byWeekday.every(d => Number.isInteger(d) && d >= 0 && d <= 6)) {
+            throw new Error('byWeekday must be a list of weekdays from 0 (Sunday) to 6 (Saturday)');
+        }
+    }
+    if (rule.byMonthDay !== undefined) {
+        if (rule.frequency !== 'monthly') {
+            throw new Error('byMonthDay is only allowed for monthly recurrence');
+        }
+        if (!Number.isInteger(rule.byMonthDay) || rule.byMonthDay < 1 || rule.byMonthDay > 31) {
+            throw new Error('byMonthDay must be an integer between 1 and 31');
+        }
+    }
+    if (rule.until !== undefined && isNaN(new Date(rule.until).getTime())) {
+        throw new Error('Recurrence until must be a valid date');
+    }
+    if (rule.count !== undefined && (!Number.isInteger(rule.count) || rule.count < 1)) {
+        throw new Error('Recurrence count must be a positive integer');
+    }
+    if (rule.until !== undefined && rule.count !== undefined) {
+        throw new Error('Recurrence can end with either until or count, not both');
+    }
+    return true;
+};
+
+// Pick only the rule fields from a validated request body. Monthly rules are pinned to
+// the anchor's day so that clamping in short months doesn't drift later occurrences.
+const normalizeRecurrence = ({ frequency, interval, byWeekday, byMonthDay, until, count }, anchor) => {
+    if (frequency === 'monthly' && !byMonthDay) {
+        byMonthDay = new Date(anchor).getUTCDate();
+    }
+    return { frequency, interval, byWeekday, byMonthDay, until, count };
+};
+
+// Turn a task into the first occurrence of a new series. The series is validated but returned
+// unsaved: save it after the task, so a task that fails to save doesn't leave an orphaned series.
+const startSeries = async (task, rule) => {
+    const series = new TaskSeries({
+        user: task.user,
+        project: task.project,
+        title: task.title,
+        description: task.description,
+        autoComplete: task.autoComplete,
+        strictSubtasks: task.strictSubtasks,
+        recurrence: normalizeRecurrence(rule, task.dueDate)
+    });
+    await series.validate();
+    task.series = series._id;
+    task.occurrenceIndex = 1;
+    return series;
+};
+
+/**
+ * Create the next occurrence after a completed task, once per task.
+ * The new occurrence is logged as created by the user who completed the previous one.
+ * Title, description and flags come from the series template; owner, project, priority,
+ * tags, assignees and checklist items carry over from the completed occurrence.
+ */
+const generateNextOccurrence = async (task, actorId) => {
+    if (!task.series || task.status !== 'Completed' || task.nextOccurrenceGenerated) {
+        return null;
+    }
+
+    const series = await TaskSeries.findById(task.series);
+    if (!series || !series.active) {
+        return null;
+    }
+
+    const { recurrence } = series;
+    if (recurrence.count && task.occurrenceIndex >= recurrence.count) {
+        return null;
+    }
+
+    const dueDate = nextOccurrenceDate(recurrence, task.dueDate);
+    if (!dueDate) {
+        return null;
+    }
+
+    // Claim the generation atomically so concurrent completions create one occurrence.
+    // The flag is bookkeeping, so updatedAt (part of the task's ETag) is left alone and the
+    // ETag of the completed task returned to the client stays current.
+    const claimed = await Task.findOneAndUpdate(
+        { _id: task._id, nextOccurrenceGenerated: { $ne: true } },
+        { nextOccurrenceGenerated: true },
+        { timestamps: false }
+    );
+    if (!claimed) {
+        return null;
+    }
+    task.nextOccurrenceGenerated = true;
+
+    const next = await Task.create({
+        title: series.title,
+        description: series.description,
+        dueDate,
+        status: 'Pending',
+        priority: task.priority,
+        tags: task.tags,
+        user: task.user,
+        createdBy: task.createdBy,
+        assignees: task.assignees,
+        project: task.project,
+        autoComplete: series.autoComplete,
+        strictSubtasks: series.strictSubtasks,
+        subtasks: task.subtasks.map(s => ({ title: s.title })),
+        series: series._id,
+        occurrenceIndex: task.occurrenceIndex + 1
+    });
+
+    series.occurrenceCount = Math.max(series.occurrenceCount, next.occurrenceIndex);
+    await series.save();
+
+    await recordActivity(next, actorId, 'created', { meta: { generatedFrom: task._id } });
+
+    return next;
+};
+
+module.exports = {
+    nextOccurrenceDate,
+    validateRecurrence,
+    normalizeRecurrence,
+    startSeries,
+    generateNextOccurrence
+};
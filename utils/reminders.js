@@ -0,0 +1,126 @@
+const Task = require('../models/Task');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { deliverNotification } = require('./notificationChannels');
+const { isAllDay, isPastDue, dayStart } = require('./timezone');
+
+const MINUTE_MS = 60 * 1000;
+// Reminders can be at most 7 days ahead; overdue tasks are picked up for 7 days
+const LOOKAHEAD_MS = 7 * 24 * 60 * MINUTE_MS;
+const OVERDUE_LOOKBACK_MS = 7 * 24 * 60 * MINUTE_MS;
+
+const formatOffset = (minutes) => {
+    const [value, unit] = minutes % 1440 === 0 ? [minutes / 1440, 'day']
+        : minutes % 60 === 0 ? [minutes / 60, 'hour']
+            : [minutes, 'minute'];
+    return `${value} ${unit}${value === 1 ? '' : 's'}`;
+};
+
+// The reminder due now is the smallest offset whose time has come. Larger offsets that were
+// missed (e.g. the task was created close to its due date) are skipped rather than sent late.
+const dueReminderOffset = (offsets, dueDate, now) => {
+    const reached = offsets.filter(offset => now.getTime() >= dueDate.getTime() - offset * MINUTE_MS);
+    return reached.length ? Math.min(...reached) : null;
+};
+
+const describeDue = (dueDate) => {
+    return isAllDay(dueDate) ? `on ${dueDate.toISOString().slice(0, 10)}` : dueDate.toISOString();
+};
+
+// Users to remind about a task: its assignees, or its owner when nobody is assigned
+const recipientsFor = (task) => {
+    return task.assignees.length ? task.assignees : [task.user];
+};
+
+// Store a notification once per key; returns null when it already exists
+const createOnce = async (data) => {
+    try {
+        return await Notification.create(data);
+    } catch (error) {
+        if (error.code === 11000) return null;
+        throw error;
+    }
+};
+
+/**
+ * Create reminder and overdue notifications for open tasks due around `now`,
+ * then deliver them to each user's external channels. Safe to run repeatedly.
+ * @returns {Promise<number>} number of notifications created
+ */
+const runReminderSweep = async (now = new Date()) => {
+    // Disabled accounts get no reminders
+    const users = new Map();
+    const loadUser = async (id) => {
+        const key = id.toString();
+        if (!users.has(key)) {
+            users.set(key, await User.findOne({ _id: id, disabledAt: null }));
+        }
+        return users.get(key);
+    };
+
+    const tasks = Task.find({
+        status: { $ne: 'Completed' },
+        deletedAt: null,
+        dueDate: {
+            $gte: new Date(now.getTime() - OVERDUE_LOOKBACK_MS),
+            $lte: new Date(now.getTime() + LOOKAHEAD_MS)
+        }
+    }).cursor();
+
+    let created = 0;
+    for await (const task of tasks) {
+        for (const userId of recipientsFor(task)) {
+            const user = await loadUser(userId);
+            const settings = user && user.reminderSettings;
+            if (!settings || !settings.enabled) continue;
+
+            const due = task.dueDate.getTime();
+            const timeZone = user.timezone || 'UTC';
+            let notification;
+
+            if (isPastDue(task.dueDate, now, timeZone)) {
+                if (!settings.overdue) continue;
+                notification = await createOnce({
+                    user: user._id,
+                    task: task._id,
+                    type: 'overdue',
+                    title: `Overdue: ${task.title}`,
+                    message: `"${task.title}" was due ${describeDue(task.dueDate)} and isn't completed yet.`,
+                    dueDate: task.dueDate,
+                    key: `overdue:${task._id}:${due}`
+                });
+            } else {
+                // All-day tasks are reminded relative to the start of their day in the user's time zone
+                const remindFor = isAllDay(task.dueDate) ? dayStart(task.dueDate, timeZone) : task.dueDate;
+                const offset = dueReminderOffset(settings.offsets, remindFor, now);
+                if (offset === null) continue;
+                notification = await createOnce({
+                    user: user._id,
+                    task: task._id,
+                    type: 'reminder',
+                    title: `Reminder: ${task.title}`,
+                    message: `"${task.title}" is due in ${formatOffset(offset)} (${describeDue(task.dueDate)}).`,
+                    dueDate: task.dueDate,
+                    offsetMinutes: offset,
+                    key: `reminder:${task._id}:${due}:${offset}`
+                });
+            }
+
+            if (!notification) continue;
+            created++;
+
+            const delivered = await deliverNotification(notification, user);
+            if (delivered.length) {
+                notification.deliveredVia = delivered;
+                await notification.save();
+            }
+        }
+    }
+
+    return created;
+};
+
+module.exports = {
+    dueReminderOffset,
+    runReminderSweep
+};
@@ -0,0 +1,312 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const Project = require('../models/Project');
+const Tag = require('../models/Tag');
+const TaskTombstone = require('../models/TaskTombstone');
+const SyncMutation = require('../models/SyncMutation');
+const { resolveTaskScope, getTaskRole, roleAtLeast, TASK_POPULATE } = require('./taskAccess');
+const { recordActivity } = require('./activity');
+const { generateNextOccurrence } = require('./recurrence');
+const { publishTaskEvent } = require('./taskEvents');
+const { createTaskValidators, updateTaskValidators, validateTaskData } = require('./taskValidators');
+const { checkProjectAccess, buildTask, saveNewTask } = require('./taskCreation');
+
+const SYNC_PAGE_SIZE = 500;
+const MUTATION_LIMIT = 100;
+const MUTATION_OPS = ['create', 'update', 'delete'];
+// Fields a sync update may change
+const UPDATE_FIELDS = ['title', 'description', 'dueDate', 'status', 'priority', 'tags', 'autoComplete', 'strictSubtasks'];
+// Writes that were in flight while a sync ran may carry a slightly older updatedAt;
+// the next sync starts this far back so it still picks them up
+const SYNC_OVERLAP_MS = 5 * 1000;
+const TOMBSTONE_RETENTION_MS = TaskTombstone.RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+// Error carrying an API error code, raised for malformed sync tokens
+class SyncError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'SyncError';
+        this.code = code;
+    }
+}
+
+// Sync tokens are opaque to clients: { t: time, id?: last task of a page, p: project set, f?: full sync }
+const encodeSyncToken = (state) => {
+    return Buffer.from(JSON.stringify(state)).toString('base64url');
+};
+
+const decodeSyncToken = (token) => {
+    try {
+        const state = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+        if (!Number.isFinite(state.t) || typeof state.p !== 'string') throw new Error('Malformed token');
+        if (state.id !== undefined && !mongoose.isValidObjectId(state.id)) throw new Error('Malformed token');
+        return state;
+    } catch (error) {
+        throw new SyncError('Invalid sync token', 'INVALID_SYNC_TOKEN');
+    }
+};
+
+// Joining or leaving a project changes which older tasks are visible, which a delta can't express
+const projectSetKey = (projectIds) => {
+    const ids = projectIds.map(id => id.toString()).sort().join(',');
+    return crypto.createHash('sha1').update(ids).digest('hex').slice(0, 12);
+};
+
+/**
+ * Changes visible to the user since a sync token, oldest first.
+ * Without a usable token (none, too old, or the user's projects changed) this is a full
+ * sync (`full: true`) of all current tasks and the client should replace its copy.
+ */
+const getChanges = async (userId, token, { limit = SYNC_PAGE_SIZE, now = new Date() } = {}) => {
+    const since = token ? decodeSyncToken(token) : null;
+    const projectIds = await Project.idsForUser(userId);
+    const projectKey = projectSetKey(projectIds);
+
+    const resumable = since && since.p === projectKey && since.t >= now.getTime() - TOMBSTONE_RETENTION_MS;
+    const full = !resumable || Boolean(since.f);
+    // A full sync continues over several pages; its first page has no position yet
+    const position = resumable ? since : null;
+
+    const scope = await resolveTaskScope(userId);
+    const filter = { $and: [{ $or: scope.$or }] };
+    if (full) {
+        filter.$and.push({ deletedAt: null });
+    }
+    if (position) {
+        const updatedAt = new Date(position.t);
+        filter.$and.push(position.id
+            ? { $or: [{ updatedAt: { $gt: updatedAt } }, { updatedAt, _id: { $gt: position.id } }] }
+            : { updatedAt: { $gt: updatedAt } });
+    }
+
+    const tasks = await Task.find(filter)
+        .sort({ updatedAt: 1, _id: 1 })
+        .limit(limit + 1)
+        .populate(TASK_POPULATE);
+
+    const hasMore = tasks.length > limit;
+    if (hasMore) tasks.pop();
+
+    const deleted = tasks.filter(task => task.deletedAt).map(task => ({
+        id: task._id,
+        clientId: task.clientId,
+        deletedAt: task.deletedAt,
+        permanent: false
+    }));
+
+    if (!full) {
+        const tombstones = await TaskTombstone.find({
+            deletedAt: { $gt: new Date(since.t) },
+            $or: [{ users: userId }, { project: { $in: projectIds } }]
+        }).sort({ deletedAt: 1 });
+
+        deleted.push(...tombstones.map(tombstone => ({
+            id: tombstone.task,
+            clientId: tombstone.clientId,
+            deletedAt: tombstone.deletedAt,
+            permanent: tombstone.reason === 'deleted'
+        })));
+    }
+
+    let next;
+    if (hasMore) {
+        const last = tasks[tasks.length - 1];
+        next = { t: last.updatedAt.getTime(), id: last._id.toString(), p: projectKey, ...(full && { f: 1 }) };
+    } else {
+        next = { t: Math.max(now.getTime() - SYNC_OVERLAP_MS, position ? position.t : 0), p: projectKey };
+    }
+
+    return {
+        full,
+        changes: tasks.filter(task => !task.deletedAt),
+        deleted,
+        hasMore,
+        syncToken: encodeSyncToken(next)
+    };
+};
+
+// Resolve a mutation's target by server ID or by the client ID it was created with
+const findTarget = async (mutation, userId) => {
+    let task = null;
+    if (mutation.id && mongoose.isValidObjectId(mutation.id)) {
+        task = await Task.findById(mutation.id);
+    } else if (mutation.clientId) {
+        task = await Task.findOne({ user: userId, clientId: mutation.clientId });
+    }
+    if (!task) return { task: null, role: null };
+
+    const role = await getTaskRole(task, userId);
+    return role ? { task, role } : { task: null, role: null };
+};
+
+const rejected = (error, message, extra = {}) => ({ status: 'rejected', error, message, ...extra });
+
+const conflict = async (task, error, message) => {
+    if (task) await task.populate(TASK_POPULATE);
+    return { status: 'conflict', error, message, task };
+};
+
+const applyCreate = async (mutation, userId) => {
+    if (typeof mutation.clientId !== 'string' || !mutation.clientId.trim()) {
+        return rejected('INVALID_MUTATION', 'clientId is required to create a task');
+    }
+
+    // Creating the same client ID twice returns the existing task
+    const existing = await Task.findOne({ user: userId, clientId: mutation.clientId });
+    if (existing) {
+        return { status: 'applied', task: await existing.populate(TASK_POPULATE) };
+    }
+
+    const data = { ...mutation.data };
+    const errors = await validateTaskData(createTaskValidators, data);
+    if (errors.length) {
+        return rejected('VALIDATION_ERROR', 'Validation failed', { errors });
+    }
+
+    if (data.project) {
+        const denied = await checkProjectAccess(data.project, userId);
+        if (denied) return rejected(denied.error, denied.message);
+    }
+
+    const task = buildTask(data, userId);
+    task.clientId = mutation.clientId;
+    await task.validate();
+    await saveNewTask(task, data.recurrence, userId);
+
+    return { status: 'applied', task };
+};
+
+const applyUpdate = async (mutation, userId) => {
+    const { task, role } = await findTarget(mutation, userId);
+    if (!task || task.deletedAt) {
+        return await conflict(null, 'TASK_NOT_FOUND', 'Task was deleted or is no longer shared with you');
+    }
+    if (!roleAtLeast(role, 'editor')) {
+        return rejected('INSUFFICIENT_ROLE', 'You do not have permission to modify this task');
+    }
+    if (mutation.baseEtag && mutation.baseEtag !== task.etag) {
+        return await conflict(task, 'VERSION_CONFLICT', 'Task was changed on the server since your last sync');
+    }
+
+    const data = {};
+    for (const field of UPDATE_FIELDS) {
+        if (mutation.data && mutation.data[field] !== undefined) data[field] = mutation.data[field];
+    }
+    const errors = await validateTaskData(updateTaskValidators, data);
+    if (errors.length) {
+        return rejected('VALIDATION_ERROR', 'Validation failed', { errors });
+    }
+
+    const previousStatus = task.status;
+    Object.assign(task, data);
+    if (data.tags) task.tags = [...new Set(data.tags)];
+
+    if (task.status === 'Completed' && task.isModified('status') && task.strictSubtasks && task.hasOpenSubtasks()) {
+        return rejected('INCOMPLETE_SUBTASKS', 'Complete all subtasks before completing this task');
+    }
+
+    try {
+        await task.save();
+    } catch (error) {
+        if (error.name !== 'VersionError') throw error;
+        return await conflict(await Task.findById(task._id), 'VERSION_CONFLICT', 'Task was modified by another request');
+    }
+    if (data.tags) {
+        await Tag.ensureForUser(userId, task.tags);
+    }
+    await recordActivity(task, userId, 'updated', { meta: { sync: true } });
+
+    const nextOccurrence = await generateNextOccurrence(task, userId);
+    await task.populate(TASK_POPULATE);
+
+    await publishTaskEvent('task.updated', task, userId);
+    if (task.status !== previousStatus) {
+        await publishTaskEvent('task.status_changed', task, userId, { previousStatus });
+    }
+    if (nextOccurrence) {
+        await nextOccurrence.populate(TASK_POPULATE);
+        await publishTaskEvent('task.created', nextOccurrence, userId);
+    }
+
+    return { status: 'applied', task };
+};
+
+const applyDelete = async (mutation, userId) => {
+    const { task, role } = await findTarget(mutation, userId);
+
+    // Deleting a task that is already gone is a no-op
+    if (!task || task.deletedAt) {
+        return { status: 'applied', task: null };
+    }
+    if (!roleAtLeast(role, 'editor')) {
+        return rejected('INSUFFICIENT_ROLE', 'You do not have permission to delete this task');
+    }
+    if (mutation.baseEtag && mutation.baseEtag !== task.etag) {
+        return await conflict(task, 'VERSION_CONFLICT', 'Task was changed on the server since your last sync');
+    }
+
+    task.deletedAt = new Date();
+    task.deletedBy = userId;
+    try {
+        await task.save();
+    } catch (error) {
+        if (error.name !== 'VersionError') throw error;
+        return await conflict(await Task.findById(task._id), 'VERSION_CONFLICT', 'Task was modified by another request');
+    }
+    await recordActivity(task, userId, 'deleted', { meta: { sync: true } });
+    await publishTaskEvent('task.deleted', task, userId, { permanent: false });
+
+    return { status: 'applied', task: null };
+};
+
+const MUTATION_HANDLERS = {
+    create: applyCreate,
+    update: applyUpdate,
+    delete: applyDelete
+};
+
+// Results are stored without the task document; replays load its current state
+const storedResult = ({ task, ...result }) => ({ ...result, taskId: task ? task._id : null });
+
+/**
+ * Apply one client mutation at most once per mutationId.
+ * The outcome is `applied`, `conflict` (with the server's copy in `task`) or `rejected`.
+ */
+const applyMutation = async (mutation, userId) => {
+    const { mutationId, op } = mutation;
+
+    let log;
+    try {
+        log = await SyncMutation.create({ user: userId, mutationId });
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+        const previous = await SyncMutation.findOne({ user: userId, mutationId });
+        if (!previous || !previous.result) {
+            return { mutationId, op, status: 'conflict', error: 'MUTATION_IN_PROGRESS', message: 'Mutation is still being applied' };
+        }
+        const { taskId, ...result } = previous.result;
+        const task = taskId ? await Task.findById(taskId).populate(TASK_POPULATE) : null;
+        return { mutationId, op, ...result, task, replayed: true };
+    }
+
+    try {
+        const result = await MUTATION_HANDLERS[op](mutation, userId);
+        await SyncMutation.updateOne({ _id: log._id }, { result: storedResult(result) });
+        return { mutationId, op, ...result };
+    } catch (error) {
+        // Unexpected failures can be retried with the same mutationId
+        await SyncMutation.deleteOne({ _id: log._id });
+        console.error('Sync mutation error:', error);
+        return { mutationId, op, status: 'error', error: 'SYNC_MUTATION_ERROR', message: 'Mutation could not be applied' };
+    }
+};
+
+module.exports = {
+    SYNC_PAGE_SIZE,
+    MUTATION_LIMIT,
+    MUTATION_OPS,
+    SyncError,
+    getChanges,
+    applyMutation
+};
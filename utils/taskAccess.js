@@ -0,0 +1,72 @@
+const Task = require('../models/Task');
+const Project = require('../models/Project');
+
+// User references returned with every task
+const TASK_POPULATE = [
+    { path: 'user', select: 'username email' },
+    { path: 'createdBy', select: 'username email' },
+    { path: 'assignees', select: 'username email' },
+    { path: 'series', select: 'recurrence occurrenceCount active' }
+];
+
+/**
+ * Build the base filter for tasks the user can see.
+ * With a projectId the scope is that project (null if the user isn't a member);
+ * otherwise it covers the user's personal tasks plus every project they belong to.
+ * Trashed tasks are excluded unless `trashed` is set, which selects only them.
+ */
+const resolveTaskScope = async (userId, projectId, { trashed = false } = {}) => {
+    const deletedAt = trashed ? { $ne: null } : null;
+
+    if (projectId) {
+        const project = await Project.findById(projectId);
+        if (!project || !project.getRole(userId)) return null;
+        return { project: project._id, deletedAt };
+    }
+
+    const projectIds = await Project.idsForUser(userId);
+    return {
+        deletedAt,
+        $or: [
+            { user: userId, project: null },
+            { project: { $in: projectIds } },
+            { assignees: userId }
+        ]
+    };
+};
+
+// Resolve the user's role on a task: owner of their personal tasks, otherwise their
+// project role. Assignees can always work on their task, so they get at least editor.
+const getTaskRole = async (task, userId) => {
+    let role = null;
+    if (!task.project) {
+        const ownerId = task.user._id || task.user;
+        role = ownerId.toString() === userId.toString() ? 'owner' : null;
+    } else {
+        const project = await Project.findById(task.project._id || task.project);
+        role = project ? project.getRole(userId) : null;
+    }
+
+    if (task.isAssignedTo(userId) && !Project.roleAtLeast(role, 'editor')) {
+        role = 'editor';
+    }
+    return role;
+};
+
+// Load a task with the user's role on it. Task is null when the user has no access at all,
+// or when the task is in the trash and `includeTrashed` isn't set.
+const findTaskWithRole = async (taskId, userId, { includeTrashed = false } = {}) => {
+    const task = await Task.findById(taskId);
+    if (!task || (task.deletedAt && !includeTrashed)) return { task: null, role: null };
+
+    const role = await getTaskRole(task, userId);
+    return role ? { task, role } : { task: null, role: null };
+};
+
+module.exports = {
+    TASK_POPULATE,
+    resolveTaskScope,
+    getTaskRole,
+    findTaskWithRole,
+    roleAtLeast: Project.roleAtLeast.bind(Project)
+};
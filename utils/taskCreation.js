@@ -0,0 +1,68 @@
+const Task = require('../models/Task');
+const Project = require('../models/Project');
+const Tag = require('../models/Tag');
+const { TASK_POPULATE, roleAtLeast } = require('./taskAccess');
+const { recordActivity } = require('./activity');
+const { startSeries, generateNextOccurrence } = require('./recurrence');
+const { publishTaskEvent } = require('./taskEvents');
+
+// Check that the user may add tasks to a project (editor or above); returns the error to send, if any
+const checkProjectAccess = async (projectId, userId) => {
+    const project = await Project.findById(projectId);
+    const role = project && project.getRole(userId);
+    if (!role) {
+        return { status: 404, message: 'Project not found', error: 'PROJECT_NOT_FOUND' };
+    }
+    if (!roleAtLeast(role, 'editor')) {
+        return { status: 403, message: 'You do not have permission to add tasks to this project', error: 'INSUFFICIENT_ROLE' };
+    }
+    return null;
+};
+
+// New, unsaved task owned by the user, from validated input
+const buildTask = (fields, userId) => {
+    const { title, description, dueDate, status = 'Pending', priority, tags, project, autoComplete, strictSubtasks } = fields;
+    return new Task({
+        title,
+        description,
+        dueDate,
+        status,
+        priority,
+        tags: tags ? [...new Set(tags)] : [],
+        user: userId,
+        createdBy: userId,
+        project: project || null,
+        autoComplete,
+        strictSubtasks
+    });
+};
+
+// Save a validated new task with its series, tags, activity entry and change events.
+// Returns the populated task and the next occurrence it may have generated.
+const saveNewTask = async (task, recurrence, userId) => {
+    const series = recurrence ? await startSeries(task, recurrence) : null;
+
+    await task.save();
+    if (series) {
+        await series.save();
+    }
+    await Tag.ensureForUser(userId, task.tags);
+    await recordActivity(task, userId, 'created');
+
+    const nextOccurrence = await generateNextOccurrence(task, userId);
+    await task.populate(TASK_POPULATE);
+
+    await publishTaskEvent('task.created', task, userId);
+    if (nextOccurrence) {
+        await nextOccurrence.populate(TASK_POPULATE);
+        await publishTaskEvent('task.created', nextOccurrence, userId);
+    }
+
+    return { task, nextOccurrence };
+};
+
+module.exports = {
+    checkProjectAccess,
+    buildTask,
+    saveNewTask
+};
@@ -0,0 +1,102 @@
+const { EventEmitter } = require('events');
+const Project = require('../models/Project');
+const { TASK_POPULATE } = require('./taskAccess');
+
+const TASK_EVENTS = ['task.created', 'task.updated', 'task.status_changed', 'task.deleted', 'task.restored'];
+
+// Recent events kept in memory so reconnecting clients can resume from their last event ID
+const REPLAY_BUFFER_SIZE = 1000;
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+// Event IDs are `<boot>-<sequence>`; IDs from a previous server run can't be resumed
+const bootId = Date.now().toString(36);
+let sequence = 0;
+const buffer = [];
+
+// Everyone who can see the task: its owner, its assignees and the members of its project
+const taskRecipients = async (task) => {
+    const ids = [task.user, ...task.assignees].map(u => (u._id || u).toString());
+
+    if (task.project) {
+        const project = await Project.findById(task.project._id || task.project).select('members.user');
+        if (project) {
+            ids.push(...project.members.map(m => m.user.toString()));
+        }
+    }
+    return [...new Set(ids)];
+};
+
+/**
+ * Publish a task lifecycle event to every user who can see the task.
+ * Delivery problems are logged and never fail the request that caused the event.
+ */
+const publishTaskEvent = async (type, task, actorId, data = {}) => {
+    try {
+        const recipients = await taskRecipients(task);
+        const event = {
+            id: `${bootId}-${++sequence}`,
+            seq: sequence,
+            type,
+            recipients,
+            payload: {
+                type,
+                taskId: task._id,
+                // Snapshot now; the document may keep changing after the event
+                task: task.toJSON(),
+                actor: actorId,
+                occurredAt: new Date().toISOString(),
+                ...data
+            }
+        };
+
+        buffer.push(event);
+        if (buffer.length > REPLAY_BUFFER_SIZE) buffer.shift();
+
+        bus.emit('event', event);
+        return event;
+    } catch (error) {
+        console.error('Publish task event error:', error);
+        return null;
+    }
+};
+
+// Publish events collected during a bulk operation, in order: [type, task, data] entries
+const publishTaskEvents = async (events, actorId) => {
+    for (const [type, task, data] of events) {
+        await task.populate(TASK_POPULATE);
+        await publishTaskEvent(type, task, actorId, data);
+    }
+};
+
+/**
+ * Events for `userId` published after `lastEventId`.
+ * Returns null when the ID can't be resumed (unknown, from a previous run or
+ * already dropped from the buffer); the client should then refetch its tasks.
+ */
+const eventsSince = (userId, lastEventId) => {
+    const [boot, seq] = String(lastEventId).split('-');
+    const lastSeq = Number(seq);
+    if (boot !== bootId || !Number.isInteger(lastSeq) || lastSeq > sequence) return null;
+
+    const oldest = buffer.length ? buffer[0].seq : sequence + 1;
+    if (lastSeq < oldest - 1) return null;
+
+    const user = userId.toString();
+    return buffer.filter(event => event.seq > lastSeq && event.recipients.includes(user));
+};
+
+// Listen to all published events; returns a function that removes the listener
+const subscribe = (listener) => {
+    bus.on('event', listener);
+    return () => bus.off('event', listener);
+};
+
+module.exports = {
+    TASK_EVENTS,
+    publishTaskEvent,
+    publishTaskEvents,
+    eventsSince,
+    subscribe
+};
@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+const { query } = require('express-validator');
+const Task = require('../models/Task');
+const { pastDueFilter } = require('./timezone');
+
+const STATUSES = ['Pending', 'In Progress', 'Completed'];
+
+// Accept lists either as repeated params or comma-separated
+const toList = (value) => {
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    return list.map(v => String(v).trim()).filter(Boolean);
+};
+
+/**
+ * Build the validators for the standard task filters.
+ * `field` creates the validation chain for the given field name(s); it defaults to query
+ * params, and routes that take the filters in a request body pass their own builder.
+ */
+const makeTaskFilterValidators = (field = query) => [
+    field('status')
+        .optional()
+        .isIn(STATUSES)
+        .withMessage('Status must be one of: Pending, In Progress, Completed'),
+    field('q')
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 200 })
+        .withMessage('Search query must be between 1 and 200 characters'),
+    field(['dueBefore', 'dueAfter', 'createdBefore', 'createdAfter', 'updatedBefore', 'updatedAfter'])
+        .optional()
+        .isISO8601()
+        .withMessage('Date filters must be valid ISO 8601 dates'),
+    field(['assignee', 'createdBy'])
+        .optional()
+        .custom(value => value === 'me' || /^[a-f\d]{24}$/i.test(value))
+        .withMessage('Assignee and createdBy must be "me" or a user ID'),
+    field('project')
+        .optional()
+        .isMongoId()
+        .withMessage('Project must be a valid ID'),
+    field('tags')
+        .optional()
+        .customSanitizer(toList)
+        .custom(list => list.length >= 1 && list.length <= Task.MAX_TAGS && list.every(t => t.length <= 30))
+        .withMessage(`Tags must be a list of 1 to ${Task.MAX_TAGS} tags of up to 30 characters`),
+    field('tagMatch')
+        .optional()
+        .isIn(['any', 'all'])
+        .withMessage('Tag match must be any or all'),
+    field('priority')
+        .optional()
+        .customSanitizer(toList)
+        .custom(list => list.length >= 1 && list.every(p => Task.PRIORITIES.includes(p)))
+        .withMessage('Priority must be one or more of: low, medium, high, urgent'),
+    field('overdue')
+        .optional()
+        .isBoolean()
+        .withMessage('Overdue must be true or false')
+        .toBoolean()
+];
+
+// Query validators shared by every route that lists tasks with the standard filters
+const taskFilterValidators = makeTaskFilterValidators();
+
+// Add $gte/$lte bounds for a date field when the matching query params are present
+const addDateRange = (filter, field, after, before) => {
+    if (!after && !before) return;
+    filter[field] = {};
+    if (after) filter[field].$gte = new Date(after);
+    if (before) filter[field].$lte = new Date(before);
+};
+
+// Resolve a `me`-or-ID param to an ObjectId, so the filter also works in aggregations
+const toUserId = (value, userId) => {
+    return new mongoose.Types.ObjectId(value === 'me' ? userId : value);
+};
+
+/**
+ * Build a Mongo filter from validated list query params.
+ * All filters combine with AND on top of the given base filter; `me` resolves to userId.
+ * `timeZone` is the user's, for the overdue filter.
+ */
+const buildTaskFilter = (base, params, userId, timeZone = 'UTC') => {
+    const {
+        status, q, dueBefore, dueAfter, createdBefore, createdAfter, updatedBefore, updatedAfter,
+        overdue, assignee, createdBy, tags, tagMatch = 'any', priority
+    } = params;
+
+    const filter = { ...base };
+    const and = [];
+
+    if (status) {
+        filter.status = status;
+    }
+
+    if (assignee) {
+        filter.assignees = toUserId(assignee, userId);
+    }
+
+    if (createdBy) {
+        filter.createdBy = toUserId(createdBy, userId);
+    }
+
+    if (tags) {
+        filter.tags = tagMatch === 'all' ? { $all: tags } : { $in: tags };
+    }
+
+    if (priority) {
+        filter.priority = { $in: priority };
+    }
+
+    if (q) {
+        filter.$text = { $search: q };
+    }
+
+    addDateRange(filter, 'dueDate', dueAfter, dueBefore);
+    addDateRange(filter, 'createdAt', createdAfter, createdBefore);
+    addDateRange(filter, 'updatedAt', updatedAfter, updatedBefore);
+
+    // Mirrors the isOverdue virtual on the Task model, with all-day due dates in the user's time zone
+    if (overdue !== undefined) {
+        const pastDue = pastDueFilter(new Date(), timeZone);
+        if (overdue) {
+            and.push(pastDue, { status: { $ne: 'Completed' } });
+        } else {
+            and.push({ $or: [{ $nor: [pastDue] }, { status: 'Completed' }] });
+        }
+    }
+
+    if (and.length) {
+        filter.$and = and;
+    }
+
+    return filter;
+};
+
+module.exports = {
+    STATUSES,
+    toList,
+    makeTaskFilterValidators,
+    taskFilterValidators,
+    buildTaskFilter
+};
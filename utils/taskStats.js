@@ -0,0 +1,101 @@
+const Task = require('../models/Task');
+const { STATUSES } = require('./taskFilters');
+const { calendarDay, dayStart, addDays, pastDueFilter, dueOnDaysFilter } = require('./timezone');
+
+const WEEKDAY_INDEX = { sunday: 0, monday: 1 };
+
+// First date of the week containing the calendar date
+const startOfWeek = (day, weekStart) => {
+    return addDays(day, -((day.getUTCDay() - WEEKDAY_INDEX[weekStart] + 7) % 7));
+};
+
+// Every bucket start between from and to, so periods without completions show up as 0
+const bucketStarts = (from, to, groupBy, timeZone, weekStart) => {
+    const firstDay = calendarDay(from, timeZone);
+    const step = groupBy === 'week' ? 7 : 1;
+    const starts = [];
+    let day = groupBy === 'week' ? startOfWeek(firstDay, weekStart) : firstDay;
+    while (dayStart(day, timeZone) <= to) {
+        starts.push(dayStart(day, timeZone));
+        day = addDays(day, step);
+    }
+    return starts;
+};
+
+/**
+ * Compute dashboard statistics for the tasks matching `scope`.
+ * Day and week boundaries are in `timeZone` (default UTC); weeks start on `weekStart`.
+ * Completion figures only include tasks completed within [from, to].
+ */
+const getTaskStats = async (scope, { from, to, groupBy = 'day', now = new Date(), timeZone = 'UTC', weekStart = 'monday' }) => {
+    const today = calendarDay(now, timeZone);
+    const open = { status: { $ne: 'Completed' } };
+
+    const [result] = await Task.aggregate([
+        { $match: scope },
+        {
+            $facet: {
+                byStatus: [{ $group: { _id: '$status', count: { $sum: 1 } } }],
+                overdue: [{ $match: { ...open, ...pastDueFilter(now, timeZone) } }, { $count: 'count' }],
+                dueToday: [{ $match: { ...open, ...dueOnDaysFilter(today, 1, timeZone) } }, { $count: 'count' }],
+                dueThisWeek: [{ $match: { ...open, ...dueOnDaysFilter(startOfWeek(today, weekStart), 7, timeZone) } }, { $count: 'count' }],
+                completions: [
+                    { $match: { status: 'Completed', completedAt: { $gte: from, $lte: to } } },
+                    {
+                        $group: {
+                            _id: { $dateTrunc: { date: '$completedAt', unit: groupBy, timezone: timeZone, startOfWeek: weekStart } },
+                            count: { $sum: 1 }
+                        }
+                    }
+                ],
+                completionTime: [
+                    { $match: { status: 'Completed', completedAt: { $gte: from, $lte: to } } },
+                    {
+                        $group: {
+                            _id: null,
+                            averageMs: { $avg: { $subtract: ['$completedAt', '$createdAt'] } },
+                            count: { $sum: 1 }
+                        }
+                    }
+                ]
+            }
+        }
+    ]);
+
+    const countOf = (facet) => (facet.length ? facet[0].count : 0);
+
+    const byStatus = Object.fromEntries(STATUSES.map(status => [status, 0]));
+    result.byStatus.forEach(group => { byStatus[group._id] = group.count; });
+
+    const completedPerBucket = new Map(result.completions.map(c => [c._id.getTime(), c.count]));
+    const completions = bucketStarts(from, to, groupBy, timeZone, weekStart).map(start => ({
+        period: start.toISOString(),
+        count: completedPerBucket.get(start.getTime()) || 0
+    }));
+
+    const completionTime = result.completionTime[0];
+    const averageMs = completionTime ? Math.round(completionTime.averageMs) : null;
+
+    return {
+        total: Object.values(byStatus).reduce((sum, count) => sum + count, 0),
+        byStatus,
+        overdue: countOf(result.overdue),
+        dueToday: countOf(result.dueToday),
+        dueThisWeek: countOf(result.dueThisWeek),
+        completions: {
+            from: from.toISOString(),
+            to: to.toISOString(),
+            groupBy,
+            series: completions
+        },
+        averageCompletionTime: {
+            milliseconds: averageMs,
+            hours: averageMs === null ? null : Math.round((averageMs / (60 * 60 * 1000)) * 10) / 10,
+            sampleSize: completionTime ? completionTime.count : 0
+        }
+    };
+};
+
+module.exports = {
+    getTaskStats
+};
@@ -0,0 +1,111 @@
+const { CsvError, parseCsv, toCsv, unescapeFormula } = require('./csv');
+const { buildCalendar } = require('./ical');
+
+const EXPORT_FORMATS = ['csv', 'json', 'ics'];
+const IMPORT_LIMIT = 500;
+
+// Fields an imported row may set; everything else (IDs, timestamps, ...) is ignored
+const IMPORT_FIELDS = [
+    'title', 'description', 'dueDate', 'status', 'priority', 'tags',
+    'project', 'autoComplete', 'strictSubtasks', 'recurrence'
+];
+
+const CSV_COLUMNS = [
+    'id', 'title', 'description', 'dueDate', 'status', 'priority', 'tags',
+    'project', 'assignees', 'createdAt', 'completedAt'
+];
+
+// Tags share one CSV cell
+const TAG_SEPARATOR = ';';
+
+const refId = (ref) => {
+    if (!ref) return null;
+    return (ref._id || ref).toString();
+};
+
+const tasksToCsv = (tasks) => {
+    return toCsv([
+        CSV_COLUMNS,
+        ...tasks.map(task => [
+            task._id,
+            task.title,
+            task.description,
+            task.dueDate,
+            task.status,
+            task.priority,
+            (task.tags || []).join(TAG_SEPARATOR),
+            refId(task.project),
+            (task.assignees || []).map(a => a.username || refId(a)).join(TAG_SEPARATOR),
+            task.createdAt,
+            task.completedAt
+        ])
+    ]);
+};
+
+/**
+ * Serialize tasks for download.
+ * @returns {{ body: string, contentType: string, extension: string }}
+ */
+const exportTasks = (tasks, format, { now = new Date() } = {}) => {
+    switch (format) {
+    case 'csv':
+        return { body: tasksToCsv(tasks), contentType: 'text/csv; charset=utf-8', extension: 'csv' };
+    case 'ics':
+        return { body: buildCalendar(tasks, { now }), contentType: 'text/calendar; charset=utf-8', extension: 'ics' };
+    default:
+        return {
+            body: JSON.stringify({ exportedAt: now.toISOString(), count: tasks.length, tasks }, null, 2),
+            contentType: 'application/json; charset=utf-8',
+            extension: 'json'
+        };
+    }
+};
+
+const pickImportFields = (row) => {
+    const fields = {};
+    for (const field of IMPORT_FIELDS) {
+        if (row[field] !== undefined) fields[field] = row[field];
+    }
+    return fields;
+};
+
+// CSV rows become objects keyed by the (case-insensitive) header; empty cells are left out.
+// Cells escaped against formulas on export get their original text back.
+const csvToRows = (text) => {
+    const [header, ...lines] = parseCsv(text);
+    if (!header) return [];
+
+    const columns = header.map(name => IMPORT_FIELDS.find(f => f.toLowerCase() === name.trim().toLowerCase()));
+    if (!columns.includes('title')) {
+        throw new CsvError('CSV header must include a title column');
+    }
+
+    return lines.map(cells => {
+        const row = {};
+        columns.forEach((field, i) => {
+            const value = unescapeFormula(cells[i] || '').trim();
+            if (!field || value === '') return;
+            row[field] = field === 'tags'
+                ? value.split(TAG_SEPARATOR).map(tag => tag.trim()).filter(Boolean)
+                : value;
+        });
+        return row;
+    });
+};
+
+/**
+ * Read the rows of an import request: a CSV body, or JSON with a `tasks` list
+ * (or a bare list). Only importable fields are kept.
+ */
+const parseImportRows = (body, isCsv) => {
+    const rows = isCsv ? csvToRows(typeof body === 'string' ? body : '') : (Array.isArray(body) ? body : body && body.tasks);
+    if (!Array.isArray(rows)) return null;
+    return rows.map(row => (row && typeof row === 'object' && !Array.isArray(row) ? pickImportFields(row) : {}));
+};
+
+module.exports = {
+    EXPORT_FORMATS,
+    IMPORT_LIMIT,
+    exportTasks,
+    parseImportRows
+};
@@ -0,0 +1,117 @@
+const { body, validationResult } = require('express-validator');
+const Task = require('../models/Task');
+const { validateRecurrence } = require('./recurrence');
+const { isPastDue } = require('./timezone');
+
+// Rules for a new task: POST /api/tasks, import rows and sync creates
+const createTaskValidators = [
+    body('title')
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Title is required and must be between 1 and 100 characters')
+        .trim(),
+    body('description')
+        .optional()
+        .isLength({ max: 500 })
+        .withMessage('Description cannot exceed 500 characters')
+        .trim(),
+    body('dueDate')
+        .isISO8601()
+        .withMessage('Due date must be a valid date')
+        .custom((value) => {
+            // All-day due dates may be today's date in any time zone, down to UTC-12
+            if (isPastDue(new Date(value), new Date(), 'Etc/GMT+12')) {
+                throw new Error('Due date cannot be in the past');
+            }
+            return true;
+        }),
+    body('status')
+        .optional()
+        .isIn(['Pending', 'In Progress', 'Completed'])
+        .withMessage('Status must be one of: Pending, In Progress, Completed'),
+    body('project')
+        .optional({ values: 'null' })
+        .isMongoId()
+        .withMessage('Project must be a valid ID'),
+    body('priority')
+        .optional()
+        .isIn(Task.PRIORITIES)
+        .withMessage('Priority must be one of: low, medium, high, urgent'),
+    body('tags')
+        .optional()
+        .isArray({ max: Task.MAX_TAGS })
+        .withMessage(`Tags must be a list of at most ${Task.MAX_TAGS} tags`),
+    body('tags.*')
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 30 })
+        .withMessage('Each tag must be between 1 and 30 characters'),
+    body(['autoComplete', 'strictSubtasks'])
+        .optional()
+        .isBoolean()
+        .withMessage('autoComplete and strictSubtasks must be true or false')
+        .toBoolean(),
+    body('recurrence')
+        .optional({ values: 'null' })
+        .custom(validateRecurrence)
+];
+
+// Rules for changing a task: PUT /api/tasks/:id and sync updates
+const updateTaskValidators = [
+    body('title')
+        .optional()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Title must be between 1 and 100 characters')
+        .trim(),
+    body('description')
+        .optional()
+        .isLength({ max: 500 })
+        .withMessage('Description cannot exceed 500 characters')
+        .trim(),
+    body('dueDate')
+        .optional()
+        .isISO8601()
+        .withMessage('Due date must be a valid date'),
+    body('status')
+        .optional()
+        .isIn(['Pending', 'In Progress', 'Completed'])
+        .withMessage('Status must be one of: Pending, In Progress, Completed'),
+    body('priority')
+        .optional()
+        .isIn(Task.PRIORITIES)
+        .withMessage('Priority must be one of: low, medium, high, urgent'),
+    body('tags')
+        .optional()
+        .isArray({ max: Task.MAX_TAGS })
+        .withMessage(`Tags must be a list of at most ${Task.MAX_TAGS} tags`),
+    body('tags.*')
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 30 })
+        .withMessage('Each tag must be between 1 and 30 characters'),
+    body(['autoComplete', 'strictSubtasks'])
+        .optional()
+        .isBoolean()
+        .withMessage('autoComplete and strictSubtasks must be true or false')
+        .toBoolean(),
+    body('recurrence')
+        .optional()
+        .custom(validateRecurrence)
+];
+
+/**
+ * Run validators against a plain object instead of a request body (import rows, sync mutations).
+ * Sanitizers update `data` in place. Returns the errors as [{ field, message }].
+ */
+const validateTaskData = async (validators, data) => {
+    const req = { body: data };
+    for (const validator of validators) {
+        await validator.run(req);
+    }
+    return validationResult(req).array().map(e => ({ field: e.path, message: e.msg }));
+};
+
+module.exports = {
+    createTaskValidators,
+    updateTaskValidators,
+    validateTaskData
+};
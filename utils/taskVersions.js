@@ -0,0 +1,23 @@
+const Task = require('../models/Task');
+const { TASK_POPULATE } = require('./taskAccess');
+
+// Conditional requests: a task's version is sent as its ETag
+const setTaskEtag = (res, task) => {
+    res.set('ETag', `"${task.etag}"`);
+};
+
+// Another request saved the task between our load and save (Mongoose VersionError)
+const sendVersionConflict = async (res, taskId) => {
+    const task = await Task.findById(taskId).populate(TASK_POPULATE);
+    if (task) setTaskEtag(res, task);
+    return res.status(409).json({
+        message: 'Task was modified by another request, retry with the current version',
+        error: 'VERSION_CONFLICT',
+        task
+    });
+};
+
+module.exports = {
+    setTaskEtag,
+    sendVersionConflict
+};
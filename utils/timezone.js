@@ -0,0 +1,119 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatters = new Map();
+
+const formatterFor = (timeZone) => {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        }));
+    }
+    return formatters.get(timeZone);
+};
+
+// IANA time zone names, e.g. Europe/Berlin
+const isValidTimeZone = (timeZone) => {
+    try {
+        formatterFor(timeZone);
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+// Offset of the zone from UTC at the given instant, in milliseconds
+const zoneOffset = (date, timeZone) => {
+    const parts = Object.fromEntries(formatterFor(timeZone).formatToParts(date).map(part => [part.type, Number(part.value)]));
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// The calendar date in the zone at the given instant, as midnight UTC of that date
+const calendarDay = (date, timeZone) => {
+    const local = new Date(date.getTime() + zoneOffset(date, timeZone));
+    return new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate()));
+};
+
+// The instant a calendar date (midnight UTC of the date) begins in the zone
+const dayStart = (day, timeZone) => {
+    const guess = day.getTime() - zoneOffset(day, timeZone);
+    // Around DST changes the offset at local midnight can differ from the one at UTC midnight
+    return new Date(day.getTime() - zoneOffset(new Date(guess), timeZone));
+};
+
+const addDays = (day, days) => new Date(day.getTime() + days * DAY_MS);
+
+// A due date at exactly midnight UTC (e.g. "2026-10-20") is a date without a time
+const isAllDay = (date) => date.getTime() % DAY_MS === 0;
+
+// All-day due dates within [from, to)
+const allDayDatesBetween = (from, to) => {
+    const dates = [];
+    for (let t = Math.ceil(from.getTime() / DAY_MS) * DAY_MS; t < to.getTime(); t += DAY_MS) {
+        dates.push(new Date(t));
+    }
+    return dates;
+};
+
+/**
+ * Whether a due date has passed: timed due dates once their time has passed,
+ * all-day ones once their date has ended in the zone.
+ */
+const isPastDue = (dueDate, now = new Date(), timeZone = 'UTC') => {
+    return isAllDay(dueDate) ? dueDate < calendarDay(now, timeZone) : dueDate < now;
+};
+
+// dueDate condition matching isPastDue
+const pastDueFilter = (now, timeZone) => {
+    const today = calendarDay(now, timeZone);
+    if (today <= now) {
+        // All-day due dates between today's date and now are still due today
+        return {
+            $or: [
+                { dueDate: { $lt: today } },
+                { dueDate: { $gte: today, $lt: now, $nin: allDayDatesBetween(today, now) } }
+            ]
+        };
+    }
+    // Ahead of UTC: all-day due dates between now and today's date have already ended
+    return {
+        $or: [
+            { dueDate: { $lt: now } },
+            { dueDate: { $in: allDayDatesBetween(now, today) } }
+        ]
+    };
+};
+
+/**
+ * dueDate condition for tasks due on the `days` calendar dates starting with `firstDay`
+ * in the zone. Timed due dates match by instant, all-day ones by date.
+ */
+const dueOnDaysFilter = (firstDay, days, timeZone) => {
+    const start = dayStart(firstDay, timeZone);
+    const end = dayStart(addDays(firstDay, days), timeZone);
+    return {
+        $or: [
+            { dueDate: { $gte: start, $lt: end, $nin: allDayDatesBetween(start, end) } },
+            { dueDate: { $in: allDayDatesBetween(firstDay, addDays(firstDay, days)) } }
+        ]
+    };
+};
+
+module.exports = {
+    DAY_MS,
+    isValidTimeZone,
+    calendarDay,
+    dayStart,
+    addDays,
+    isAllDay,
+    isPastDue,
+    pastDueFilter,
+    dueOnDaysFilter
+};
@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+// Error carrying an API error code, raised when a refresh token is rejected
+class TokenError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'TokenError';
+        this.code = code;
+    }
+}
+
+const hashToken = (token) => {
+    return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+const refreshExpiry = () => {
+    return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+};
+
+// Generate a short-lived JWT bound to a session
+const generateAccessToken = (userId, sessionId) => {
+    return jwt.sign({ userId, sid: sessionId }, process.env.JWT_SECRET, {
+        expiresIn: ACCESS_TOKEN_EXPIRES_IN
+    });
+};
+
+// Store a new refresh token for the session and return the raw value
+const issueRefreshToken = async (session) => {
+    const token = crypto.randomBytes(48).toString('base64url');
+    await RefreshToken.create({
+        tokenHash: hashToken(token),
+        session: session._id,
+        user: session.user,
+        expiresAt: session.expiresAt
+    });
+    return token;
+};
+
+const buildTokenResponse = async (session) => {
+    return {
+        token: generateAccessToken(session.user, session._id),
+        refreshToken: await issueRefreshToken(session),
+        expiresIn: ACCESS_TOKEN_EXPIRES_IN
+    };
+};
+
+// Start a new session for a user (register/login)
+const createSession = async (user, req) => {
+    const session = await Session.create({
+        user: user._id,
+        userAgent: req.get('User-Agent'),
+        ip: req.ip,
+        expiresAt: refreshExpiry()
+    });
+    return await buildTokenResponse(session);
+};
+
+// Exchange a refresh token for a new token pair. A token that has already
+// been exchanged is treated as stolen and revokes its whole session.
+const rotateRefreshToken = async (token) => {
+    const stored = await RefreshToken.findOne({ tokenHash: hashToken(token) });
+    if (!stored || stored.expiresAt <= new Date()) {
+        throw new TokenError('Invalid refresh token', 'INVALID_REFRESH_TOKEN');
+    }
+
+    const session = await Session.findById(stored.session);
+    if (!session || !session.isActive()) {
+        throw new TokenError('Session has been revoked', 'SESSION_REVOKED');
+    }
+
+    const user = await User.findById(session.user).select('disabledAt');
+    if (!user || user.disabledAt) {
+        throw new TokenError('This account has been disabled', 'ACCOUNT_DISABLED');
+    }
+
+    // Mark the token used atomically so two concurrent refreshes can't both succeed
+    const claimed = await RefreshToken.findOneAndUpdate(
+        { _id: stored._id, usedAt: null },
+        { usedAt: new Date() }
+    );
+    if (!claimed) {
+        await session.revoke('token_reuse');
+        throw new TokenError('Refresh token reuse detected', 'REFRESH_TOKEN_REUSED');
+    }
+
+    session.lastUsedAt = new Date();
+    session.expiresAt = refreshExpiry();
+    await session.save();
+
+    return await buildTokenResponse(session);
+};
+
+// Revoke every active session of a user, optionally keeping the current one
+const revokeAllSessions = async (userId, reason, { except } = {}) => {
+    const result = await Session.updateMany(
+        { user: userId, revokedAt: null, ...(except && { _id: { $ne: except } }) },
+        { revokedAt: new Date(), revokedReason: reason }
+    );
+    return result.modifiedCount;
+};
+
+module.exports = {
+    TokenError,
+    hashToken,
+    generateAccessToken,
+    createSession,
+    rotateRefreshToken,
+    revokeAllSessions
+};
@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+
+// Time-based one-time passwords (RFC 6238) as used by authenticator apps:
+// HMAC-SHA1, 6 digits, 30 second steps
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+};
+
+const base32Decode = (text) => {
+    const clean = text.toUpperCase().replace(/=+$/, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error('Invalid base32 character');
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+};
+
+// A new random secret, base32-encoded for authenticator apps
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const timeStep = (now = new Date()) => Math.floor(now.getTime() / 1000 / STEP_SECONDS);
+
+// The code for a time step (HOTP, RFC 4226)
+const codeForStep = (secret, step) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 15;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * Check a code against the current time step and `window` steps either side (clock drift).
+ * @returns {number|null} the matching time step, or null
+ */
+const verifyTotp = (secret, code, { window = 1, now = new Date() } = {}) => {
+    if (typeof code !== 'string' || !/^\d{6}$/.test(code)) return null;
+
+    const current = timeStep(now);
+    for (let step = current - window; step <= current + window; step++) {
+        const expected = codeForStep(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+            return step;
+        }
+    }
+    return null;
+};
+
+// otpauth:// URI for QR codes, understood by Google Authenticator, 1Password, Authy, ...
+const provisioningUri = (secret, accountName, issuer) => {
+    const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`;
+    const params = { secret, issuer, algorithm: 'SHA1', digits: DIGITS, period: STEP_SECONDS };
+    const query = Object.entries(params).map(([key, value]) => `${key}=${encodeURIComponent(value)}`).join('&');
+    return `otpauth://totp/${label}?${query}`;
+};
+
+module.exports = {
+    generateSecret,
+    codeForStep,
+    timeStep,
+    verifyTotp,
+    provisioningUri
+};
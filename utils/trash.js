@@ -0,0 +1,30 @@
+const Task = require('../models/Task');
+const TaskTombstone = require('../models/TaskTombstone');
+const { recordActivity } = require('./activity');
+
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+
+// Permanently delete tasks that have been in the trash longer than the retention period.
+// Each purge is logged like a manual permanent delete, without an actor.
+const purgeExpiredTrash = async () => {
+    const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    const expired = { deletedAt: { $ne: null, $lte: cutoff } };
+
+    let purged = 0;
+    for await (const task of Task.find(expired).cursor()) {
+        // Skip tasks restored since the query started
+        const { deletedCount } = await Task.deleteOne({ _id: task._id, ...expired });
+        if (!deletedCount) continue;
+
+        // Query deleteOne skips the document hook that leaves the tombstone for sync clients
+        await TaskTombstone.recordDeleted([task]);
+        await recordActivity(task, null, 'purged', { changes: [], meta: { reason: 'trash_retention' } });
+        purged++;
+    }
+    return purged;
+};
+
+module.exports = {
+    TRASH_RETENTION_DAYS,
+    purgeExpiredTrash
+};
@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const { hashToken } = require('./tokens');
+const { verifyTotp } = require('./totp');
+
+const RECOVERY_CODE_COUNT = 10;
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'Task Manager';
+
+// TOTP secrets must be readable to check codes, so they are encrypted rather than hashed
+const encryptionKey = () => {
+    return crypto.createHash('sha256').update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET).digest();
+};
+
+const encryptSecret = (secret) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64url')).join('.');
+};
+
+const decryptSecret = (stored) => {
+    const [iv, tag, encrypted] = stored.split('.').map(part => Buffer.from(part, 'base64url'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+// Recovery codes are compared case-insensitively and without the separator
+const normalizeRecoveryCode = (code) => code.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// New recovery codes: the raw values to show once, and the hashes to store
+const generateRecoveryCodes = () => {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const raw = crypto.randomBytes(5).toString('hex');
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+    return {
+        codes,
+        stored: codes.map(code => ({ codeHash: hashToken(normalizeRecoveryCode(code)) }))
+    };
+};
+
+/**
+ * Check a code from the user's authenticator app, or (with allowRecovery) one of their
+ * recovery codes, and use it up: TOTP codes can't be replayed and recovery codes work once.
+ * Both checks are atomic, so concurrent requests can't use the same code twice.
+ * @returns {Promise<'totp'|'recovery'|null>} how the user was verified, or null
+ */
+const consumeTwoFactorCode = async (user, code, { allowRecovery = true } = {}) => {
+    if (typeof code !== 'string' || !user.twoFactor.enabled) return null;
+    const trimmed = code.trim();
+
+    const step = verifyTotp(decryptSecret(user.twoFactor.secret), trimmed);
+    if (step !== null) {
+        const result = await User.updateOne(
+            { _id: user._id, $or: [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: step } }] },
+            { 'twoFactor.lastUsedStep': step }
+        );
+        return result.modifiedCount ? 'totp' : null;
+    }
+
+    if (!allowRecovery) return null;
+
+    const codeHash = hashToken(normalizeRecoveryCode(trimmed));
+    const result = await User.updateOne(
+        { _id: user._id, 'twoFactor.recoveryCodes': { $elemMatch: { codeHash, usedAt: null } } },
+        { $set: { 'twoFactor.recoveryCodes.$.usedAt': new Date() } }
+    );
+    return result.modifiedCount ? 'recovery' : null;
+};
+
+// Check a code against a secret that is still being enrolled; returns its time step or null
+const verifyEnrollmentCode = (user, code) => {
+    if (typeof code !== 'string' || !user.twoFactor.pendingSecret) return null;
+    return verifyTotp(decryptSecret(user.twoFactor.pendingSecret), code.trim());
+};
+
+const remainingRecoveryCodes = async (userId) => {
+    const user = await User.findById(userId).select('twoFactor.recoveryCodes');
+    return user ? user.twoFactor.recoveryCodes.filter(code => !code.usedAt).length : 0;
+};
+
+module.exports = {
+    ISSUER,
+    encryptSecret,
+    generateRecoveryCodes,
+    consumeTwoFactorCode,
+    verifyEnrollmentCode,
+    remainingRecoveryCodes
+};
@@ -0,0 +1,176 @@
+const crypto = require('crypto');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { subscribe } = require('./taskEvents');
+const { fetchPublicUrl } = require('./outboundUrls');
+
+const MAX_ATTEMPTS = 6;
+// Retries wait 30s, 1m, 2m, 4m, 8m
+const RETRY_BASE_MS = 30 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+// An attempt holds its delivery for this long so a concurrent sweep doesn't send it twice
+const ATTEMPT_LEASE_MS = 2 * REQUEST_TIMEOUT_MS;
+// Endpoints are disabled after this many failed attempts in a row
+const DISABLE_AFTER_FAILURES = 15;
+const SWEEP_BATCH_SIZE = 100;
+
+const generateSecret = () => {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+};
+
+// HMAC-SHA256 over "<timestamp>.<body>", sent as X-Webhook-Signature: t=<timestamp>,v1=<hex>
+const signPayload = (secret, timestamp, body) => {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+};
+
+const retryDelay = (attempts) => {
+    return RETRY_BASE_MS * 2 ** (attempts - 1);
+};
+
+const recordFailure = async (webhook, now) => {
+    const updated = await Webhook.findByIdAndUpdate(webhook._id, {
+        $inc: { consecutiveFailures: 1 },
+        $set: { lastFailureAt: now }
+    }, { new: true });
+
+    if (updated && updated.active && updated.consecutiveFailures >= DISABLE_AFTER_FAILURES) {
+        await Webhook.updateOne({ _id: webhook._id }, {
+            $set: {
+                active: false,
+                disabledAt: now,
+                disabledReason: `Disabled after ${updated.consecutiveFailures} consecutive failed deliveries`
+            }
+        });
+    }
+};
+
+/**
+ * Send one attempt of a delivery and record the outcome. Failed attempts are
+ * rescheduled with exponential backoff until MAX_ATTEMPTS is reached.
+ */
+const attemptDelivery = async (delivery) => {
+    const now = new Date();
+    const webhook = await Webhook.findById(delivery.webhook);
+
+    if (!webhook || !webhook.active) {
+        delivery.status = 'failed';
+        delivery.nextAttemptAt = null;
+        delivery.lastError = 'Webhook is disabled';
+        return await delivery.save();
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(now.getTime() / 1000);
+
+    delivery.attempts += 1;
+    delivery.lastAttemptAt = now;
+
+    try {
+        // The host is checked again: it may resolve differently than when the webhook was saved
+        const response = await fetchPublicUrl(webhook.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'TaskManager-Webhooks/1.0',
+                'X-Webhook-Id': webhook._id.toString(),
+                'X-Webhook-Delivery': delivery._id.toString(),
+                'X-Webhook-Event': delivery.event,
+                'X-Webhook-Signature': `t=${timestamp},v1=${signPayload(webhook.secret, timestamp, body)}`
+            },
+            body,
+            signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+        });
+
+        delivery.responseStatus = response.status;
+        delivery.responseBody = (await response.text()).slice(0, 1000);
+
+        if (!response.ok) {
+            throw new Error(`Endpoint responded with ${response.status}`);
+        }
+
+        delivery.status = 'success';
+        delivery.deliveredAt = new Date();
+        delivery.nextAttemptAt = null;
+        delivery.lastError = undefined;
+        await Webhook.updateOne({ _id: webhook._id }, {
+            $set: { consecutiveFailures: 0, lastSuccessAt: delivery.deliveredAt }
+        });
+    } catch (error) {
+        delivery.lastError = error.message;
+        if (delivery.attempts >= MAX_ATTEMPTS) {
+            delivery.status = 'failed';
+            delivery.nextAttemptAt = null;
+        } else {
+            delivery.nextAttemptAt = new Date(now.getTime() + retryDelay(delivery.attempts));
+        }
+        await recordFailure(webhook, now);
+    }
+
+    return await delivery.save();
+};
+
+// Lease a due delivery so only one sweep or request works on it at a time
+const claimDelivery = async (filter, now) => {
+    return await WebhookDelivery.findOneAndUpdate(
+        { ...filter, status: 'pending', nextAttemptAt: { $lte: now } },
+        { $set: { nextAttemptAt: new Date(now.getTime() + ATTEMPT_LEASE_MS) } },
+        { new: true, sort: { nextAttemptAt: 1 } }
+    );
+};
+
+// Create a delivery and make the first attempt right away
+const dispatchDelivery = async (webhook, event, payload, replayOf = null) => {
+    const delivery = await WebhookDelivery.create({
+        webhook: webhook._id,
+        user: webhook.user,
+        event,
+        payload,
+        replayOf
+    });
+
+    const claimed = await claimDelivery({ _id: delivery._id }, new Date());
+    return claimed ? await attemptDelivery(claimed) : delivery;
+};
+
+// Fan a task event out to the active webhooks of every user who can see the task
+const handleTaskEvent = async (event) => {
+    const webhooks = await Webhook.find({
+        user: { $in: event.recipients },
+        active: true,
+        events: event.type
+    });
+
+    const { type, ...data } = event.payload;
+    const payload = { id: event.id, event: type, data };
+
+    await Promise.all(webhooks.map(webhook => dispatchDelivery(webhook, type, payload)));
+};
+
+// Retry deliveries whose backoff has elapsed; returns the number of attempts made
+const processDueDeliveries = async (now = new Date()) => {
+    let processed = 0;
+    while (processed < SWEEP_BATCH_SIZE) {
+        const delivery = await claimDelivery({}, now);
+        if (!delivery) break;
+        await attemptDelivery(delivery);
+        processed++;
+    }
+    return processed;
+};
+
+// Start delivering task events to webhooks
+const startWebhookDelivery = () => {
+    return subscribe(event => {
+        handleTaskEvent(event).catch(error => console.error('Webhook dispatch error:', error));
+    });
+};
+
+module.exports = {
+    MAX_ATTEMPTS,
+    DISABLE_AFTER_FAILURES,
+    generateSecret,
+    signPayload,
+    dispatchDelivery,
+    processDueDeliveries,
+    startWebhookDelivery
+};